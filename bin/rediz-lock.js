@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const cli = require('../lib/cli');
+
+cli.main(process.argv.slice(2)).catch((err) => {
+	console.error('Error: ' + err.message);
+	if (err.code === 'invalid_argument') console.error('\n' + cli.USAGE);
+	process.exitCode = 1;
+});
@@ -0,0 +1,305 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const fs = require('fs');
+const _ = require('lodash');
+const XError = require('xerror');
+const RedizClient = require('rediz');
+const Locker = require('./locker');
+
+const USAGE = `Usage: rediz-lock [options] <command> [args]
+
+Commands:
+  list                          List locked keys
+  info <key>                    Show the holders of the locks on a key
+  break <key>                   Remove the holders of the locks on a key
+  watch <key>                   Show the holders of the locks on a key each time they change
+  holders --token-base <base>   List the locks held by the locker with the given token base
+
+Options:
+  --config <file>               JSON file containing the rediz config
+  --host <host>                 Redis host (default localhost)
+  --port <port>                 Redis port (default 6379)
+  --volatile-cluster            Connect to a volatile redis cluster
+  --prefix <prefix>             Lock key prefix (default rzlock:)
+  --pattern <pattern>           For list and holders, only include keys matching this glob pattern
+  --type <read|write>           For break, only break this type of lock
+  --token <token>               For break, only remove the holder with this token
+  --lock-timeout <seconds>      For break, the lock timeout used by the application holding the lock
+                                (default 60)
+  --interval <ms>               For watch, the polling interval (default 1000)
+  --json                        Output JSON instead of tables
+  --help                        Show this message
+`;
+
+// Options that do not take a value
+const FLAGS = [ 'json', 'volatileCluster', 'help' ];
+
+/**
+ * Parses command line arguments.
+ *
+ * @method parseArgs
+ * @param {String[]} argv - Arguments, not including the node executable and script
+ * @return {Object} - Contains `command`, the positional `args` and camel-cased `options`
+ */
+function parseArgs(argv) {
+	let positional = [];
+	let options = {};
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+		if (arg.slice(0, 2) !== '--') {
+			positional.push(arg);
+			continue;
+		}
+		let name = arg.slice(2);
+		let value;
+		let eqIdx = name.indexOf('=');
+		if (eqIdx !== -1) {
+			value = name.slice(eqIdx + 1);
+			name = name.slice(0, eqIdx);
+		}
+		name = _.camelCase(name);
+		if (_.includes(FLAGS, name)) {
+			options[name] = true;
+		} else {
+			if (value === undefined) {
+				if (i + 1 >= argv.length) {
+					throw new XError(XError.INVALID_ARGUMENT, 'Missing value for option: ' + arg);
+				}
+				value = argv[++i];
+			}
+			options[name] = value;
+		}
+	}
+	return { command: positional[0], args: positional.slice(1), options };
+}
+
+/**
+ * Formats rows of data as a text table with a header line.
+ *
+ * @method formatTable
+ * @param {Object[]} rows
+ * @param {Object[]} columns - Each column contains a `title` and a `get(row)` function that
+ *   returns the text for a cell
+ * @return {String}
+ */
+function formatTable(rows, columns) {
+	let lines = [ columns.map((column) => column.title) ]
+		.concat(rows.map((row) => columns.map((column) => {
+			let value = column.get(row);
+			return (value === null || value === undefined) ? '' : String(value);
+		})));
+	let widths = columns.map((column, idx) => _.max(lines.map((line) => line[idx].length)));
+	return lines
+		.map((line) => line.map((cell, idx) => _.padEnd(cell, widths[idx])).join('  ').replace(/\s+$/, '') + '\n')
+		.join('');
+}
+
+const holderColumns = [
+	{ title: 'TYPE', get: (holder) => holder.type },
+	{ title: 'TOKEN', get: (holder) => holder.debug.token },
+	{ title: 'TTL', get: (holder) => holder.ttl },
+	{ title: 'HOST', get: (holder) => holder.debug.hostname },
+	{ title: 'PID', get: (holder) => holder.debug.pid },
+	{ title: 'NAME', get: (holder) => holder.debug.name }
+];
+
+/**
+ * Flattens the result of `Locker#getLockInfo()` into a list of holders, each with a `type` and
+ * `ttl` .
+ *
+ * @method getHolders
+ * @param {Object} info
+ * @return {Object[]}
+ */
+function getHolders(info) {
+	let holders = [];
+	if (info.writeHolder) {
+		holders.push(_.assign({ type: 'write', ttl: info.writeTtl }, info.writeHolder));
+	}
+	if (info.upgradableHolder) {
+		holders.push(_.assign({ type: 'upgradable', ttl: info.upgradableTtl }, info.upgradableHolder));
+	}
+	for (let holder of info.readHolders) {
+		if (info.upgradableHolder && holder.token === info.upgradableHolder.token) continue;
+		holders.push(_.assign({ type: 'read', ttl: info.readTtl }, holder));
+	}
+	return holders;
+}
+
+function formatInfo(info) {
+	let text = 'Key: ' + info.key + (info.distributed ? ' (distributed)' : '') + '\n';
+	let holders = getHolders(info);
+	if (!holders.length) return text + 'Not locked\n';
+	return text + formatTable(holders, holderColumns);
+}
+
+async function listCommand(locker, args, options) {
+	let locks = await locker.listLocks({ pattern: options.pattern });
+	let yesNo = (value) => value ? 'yes' : '';
+	return {
+		data: locks,
+		text: formatTable(locks, [
+			{ title: 'KEY', get: (entry) => entry.key },
+			{ title: 'WRITE', get: (entry) => yesNo(entry.writeLocked) },
+			{ title: 'READ', get: (entry) => yesNo(entry.readLocked) },
+			{ title: 'UPGRADABLE', get: (entry) => yesNo(entry.upgradableLocked) },
+			{ title: 'DISTRIBUTED', get: (entry) => yesNo(entry.distributed) }
+		])
+	};
+}
+
+async function infoCommand(locker, args) {
+	let info = await locker.getLockInfo(args[0]);
+	return { data: info, text: formatInfo(info) };
+}
+
+async function breakCommand(locker, args, options) {
+	let lockTimeout;
+	if (options.lockTimeout !== undefined) {
+		lockTimeout = Number(options.lockTimeout);
+		if (!(lockTimeout > 0)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Invalid lock timeout: ' + options.lockTimeout);
+		}
+	}
+	let broken = await locker.breakLock(args[0], { type: options.type, token: options.token, lockTimeout });
+	let text = broken.length ?
+		formatTable(broken, [
+			{ title: 'TYPE', get: (holder) => holder.type },
+			{ title: 'TOKEN', get: (holder) => locker._parseDebugToken(holder.token).token }
+		]) :
+		'No holders removed\n';
+	return { data: broken, text };
+}
+
+async function holdersCommand(locker, args, options) {
+	let tokenBase = options.tokenBase;
+	if (!tokenBase) throw new XError(XError.INVALID_ARGUMENT, 'The --token-base option is required');
+	let rows = [];
+	for (let entry of await locker.listLocks({ pattern: options.pattern })) {
+		let info = await locker.getLockInfo(entry.key);
+		for (let holder of getHolders(info)) {
+			// Tokens consist of a two digit priority, the token base, and a counter
+			if (holder.debug.token.slice(2, 2 + tokenBase.length) !== tokenBase) continue;
+			rows.push(_.assign({ key: entry.key }, holder));
+		}
+	}
+	return {
+		data: rows,
+		text: formatTable(rows, [ { title: 'KEY', get: (row) => row.key } ].concat(holderColumns))
+	};
+}
+
+/**
+ * Polls the holders of a key and outputs them each time they change, until `signal` is aborted.
+ *
+ * @method watchCommand
+ * @param {Locker} locker
+ * @param {String[]} args
+ * @param {Object} options
+ * @param {Function} write - Called with output text
+ * @param {AbortSignal} signal
+ * @return {Promise}
+ */
+async function watchCommand(locker, args, options, write, signal) {
+	let interval = options.interval ? parseInt(options.interval, 10) : 1000;
+	let lastHolders = null;
+	while (!signal.aborted) {
+		let info = await locker.getLockInfo(args[0]);
+		// TTLs change on every poll, so only compare the holders
+		let holders = JSON.stringify(getHolders(info).map((holder) => _.pick(holder, [ 'type', 'token' ])));
+		if (holders !== lastHolders) {
+			lastHolders = holders;
+			let time = new Date().toISOString();
+			if (options.json) {
+				write(JSON.stringify(_.assign({ time }, info)) + '\n');
+			} else {
+				write('[' + time + '] ' + formatInfo(info) + '\n');
+			}
+		}
+		await new Promise((resolve) => {
+			let timer;
+			let done = () => {
+				clearTimeout(timer);
+				signal.removeEventListener('abort', done);
+				resolve();
+			};
+			timer = setTimeout(done, interval);
+			signal.addEventListener('abort', done);
+		});
+	}
+}
+
+const commands = {
+	list: { func: listCommand, numArgs: 0 },
+	info: { func: infoCommand, numArgs: 1 },
+	break: { func: breakCommand, numArgs: 1 },
+	holders: { func: holdersCommand, numArgs: 0 }
+};
+
+function checkCommand(command, args) {
+	if (command !== 'watch' && !commands[command]) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Unknown command: ' + command);
+	}
+	let numArgs = (command === 'watch') ? 1 : commands[command].numArgs;
+	if (args.length !== numArgs) {
+		throw new XError(XError.INVALID_ARGUMENT, 'Wrong number of arguments for command: ' + command);
+	}
+}
+
+/**
+ * Runs a command against a locker.
+ *
+ * @method runCommand
+ * @param {Locker} locker
+ * @param {String} command - One of `list`, `info`, `break`, `watch` or `holders`
+ * @param {String[]} args - Positional arguments for the command
+ * @param {Object} options - Options parsed by `parseArgs()`
+ * @param {Function} write - Called with output text
+ * @param {AbortSignal} [signal] - Stops `watch` when aborted
+ * @return {Promise} - Resolves when the command is done
+ */
+async function runCommand(locker, command, args, options, write, signal) {
+	checkCommand(command, args);
+	if (command === 'watch') {
+		return await watchCommand(locker, args, options, write, signal || new AbortController().signal);
+	}
+	let result = await commands[command].func(locker, args, options);
+	write(options.json ? JSON.stringify(result.data, null, 2) + '\n' : result.text);
+}
+
+/**
+ * Entry point for the `rediz-lock` command.
+ *
+ * @method main
+ * @param {String[]} argv - Arguments, not including the node executable and script
+ * @return {Promise}
+ */
+async function main(argv) {
+	let { command, args, options } = parseArgs(argv);
+	let write = (text) => process.stdout.write(text);
+	if (options.help || !command) {
+		write(USAGE);
+		return;
+	}
+	checkCommand(command, args);
+	let config = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : {};
+	if (options.host) config.host = options.host;
+	if (options.port) config.port = options.port;
+	if (options.volatileCluster) config.volatileCluster = true;
+	let redizClient = new RedizClient(config);
+	// Debug tokens are enabled so debug information of holders is parsed
+	let locker = new Locker(redizClient, { prefix: options.prefix, debugTokens: true });
+	let abortController = new AbortController();
+	let onSigint = () => abortController.abort();
+	process.once('SIGINT', onSigint);
+	try {
+		await runCommand(locker, command, args, options, write, abortController.signal);
+	} finally {
+		process.removeListener('SIGINT', onSigint);
+		redizClient.disconnect();
+	}
+}
+
+module.exports = { USAGE, parseArgs, formatTable, runCommand, main };
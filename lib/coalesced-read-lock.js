@@ -0,0 +1,81 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const RWLock = require('./rwlock');
+const ResourceLockedError = require('./resource-locked-error');
+
+/**
+ * A class with the same interface as RWLock that represents a local handle on a read lock shared
+ * by all readers of a key in this process.  The shared lock is held in redis (and heartbeated)
+ * until the last handle on it is released.  Handles emit `lost` when the shared lock is lost.
+ *
+ * Upgrading the only handle on a shared lock releases it and acquires a normal write lock, after
+ * which the handle behaves like any other RWLock.  A handle cannot be upgraded while other handles
+ * share its lock, since the write lock would wait on the read lock held by this process.
+ *
+ * @class CoalescedReadLock
+ */
+class CoalescedReadLock extends RWLock {
+
+	/**
+	 * @constructor
+	 * @param {Locker} locker - The `Locker` instance that created this handle.
+	 * @param {Object} coalescedEntry - The locker's bookkeeping entry for the shared lock
+	 * @param {RWLock} sharedLock - The read lock shared by all handles
+	 */
+	constructor(locker, coalescedEntry, sharedLock) {
+		super(
+			locker, sharedLock.key, sharedLock.token, null,
+			false, sharedLock.heartbeatInterval, sharedLock.heartbeatTimeout
+		);
+		this.coalescedEntry = coalescedEntry;
+		this.sharedLock = sharedLock;
+		this._onSharedLost = (error) => this._markLost(error);
+		sharedLock.on('lost', this._onSharedLost);
+	}
+
+	_startHeartbeat() {
+		// The shared lock heartbeats on behalf of all handles
+		if (this.isWriteLock) super._startHeartbeat();
+	}
+
+	/**
+	 * Upgrades this handle to a write lock.  See `RWLock#upgrade()` .
+	 *
+	 * @method upgrade
+	 * @param {Object} [options={}]
+	 * @return {Promise{CoalescedReadLock}} - Resolves with `this` .  Rejects with a
+	 *   `ResourceLockedError` if other handles in this process share the read lock.
+	 */
+	upgrade(options = {}) {
+		if (this.sharedLock && this.isLocked && this.coalescedEntry.numHandles > 1) {
+			return Promise.reject(new ResourceLockedError(
+				this.key,
+				'Cannot upgrade a read lock shared with other readers in this process: ' + this.key
+			));
+		}
+		return super.upgrade(options);
+	}
+
+	/**
+	 * Releases this handle immediately, regardless of reference counts.  The shared read lock is
+	 * released once no handles remain.
+	 *
+	 * @return {Promise} - Resolves when the handle (and, if it was the last one, the shared lock)
+	 *   is released.
+	 */
+	forceRelease() {
+		if (!this.sharedLock) return super.forceRelease();
+		this._stopHeartbeat();
+		if (!this.isLocked) return Promise.resolve();
+		this.isLocked = false;
+		this.sharedLock.removeListener('lost', this._onSharedLost);
+		// From now on, this is a standalone lock (if it is upgraded)
+		this.sharedLock = null;
+		return this.locker._releaseCoalescedHandle(this.coalescedEntry);
+	}
+
+}
+
+module.exports = CoalescedReadLock;
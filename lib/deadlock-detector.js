@@ -0,0 +1,128 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const DeadlockError = require('./deadlock-error');
+
+/**
+ * Detects deadlocks between lock waiters using a wait-for graph stored in redis.  Locks are
+ * grouped by a deadlock owner (each LockSet is one owner).  While waiting, a waiter records which
+ * tokens it is blocked on and which tokens its owner holds, then searches the graph for a cycle
+ * leading back to itself.  When a cycle is found, the owner with the greatest id in the cycle
+ * fails with a `DeadlockError` so the others can proceed.
+ *
+ * @class DeadlockDetector
+ * @constructor
+ * @param {Locker} locker - The locker this detector belongs to
+ */
+class DeadlockDetector {
+
+	constructor(locker) {
+		this.locker = locker;
+		// Map from deadlock owner to the Set of tokens of locks held by that owner in this process
+		this.ownedTokens = new Map();
+		this.waitCtr = 1;
+	}
+
+	/**
+	 * Records that a newly acquired lock belongs to a deadlock owner.  Does nothing unless
+	 * deadlock detection is enabled and an owner is given.
+	 *
+	 * @method trackLock
+	 * @param {RWLock} rwlock
+	 * @param {Object} options - Lock options
+	 */
+	trackLock(rwlock, options) {
+		let { deadlockDetection, deadlockOwner } = _.defaults({}, options, this.locker.defaults);
+		if (!deadlockDetection || !deadlockOwner) return;
+		rwlock.deadlockOwner = deadlockOwner;
+		let tokens = this.ownedTokens.get(deadlockOwner);
+		if (!tokens) {
+			tokens = new Set();
+			this.ownedTokens.set(deadlockOwner, tokens);
+		}
+		tokens.add(rwlock.token);
+	}
+
+	/**
+	 * Forgets a lock previously passed to `trackLock()` .
+	 *
+	 * @method untrackLock
+	 * @param {RWLock} rwlock
+	 */
+	untrackLock(rwlock) {
+		let tokens = this.ownedTokens.get(rwlock.deadlockOwner);
+		if (!tokens) return;
+		tokens.delete(rwlock.token);
+		if (!tokens.size) this.ownedTokens.delete(rwlock.deadlockOwner);
+	}
+
+	/**
+	 * Starts tracking a lock waiter.
+	 *
+	 * @method startWait
+	 * @param {String} key - The key being waited for
+	 * @param {String[]} ownTokens - Tokens the waiter is trying to lock with, including any
+	 *   write locks it has already claimed
+	 * @param {Object} options - Lock options
+	 * @return {Object|null} - Null if deadlock detection is disabled.  Otherwise, an object with
+	 *   a `check(holders, [waitKey])` method, to be called each time the lock is found to be
+	 *   held by `holders` (a token or list of tokens), which rejects with a `DeadlockError` if
+	 *   this waiter should give up, and a `stop()` method to be called once done waiting.
+	 *   `waitKey` overrides `key` when waiting on several keys.
+	 */
+	startWait(key, ownTokens, options) {
+		let { deadlockDetection, deadlockCheckInterval, deadlockOwner, maxWaitTime } =
+			_.defaults({}, options, this.locker.defaults);
+		if (!deadlockDetection || !maxWaitTime) return null;
+		let owner = deadlockOwner || ownTokens[0];
+		let waitId = this.locker.tokenBase + '-' + (this.waitCtr++);
+		let prefix = this.locker.prefix;
+		let client = this.locker.redizClient.shard(prefix + ':deadlock');
+		let expiry = Math.max(Math.ceil(deadlockCheckInterval * 3 / 1000), 1);
+		let lastCheck = null;
+
+		let check = async(holders, waitKey = key) => {
+			if (!holders) return;
+			if (!Array.isArray(holders)) holders = [ holders ];
+			if (!holders.length) return;
+			if (lastCheck !== null && Date.now() - lastCheck < deadlockCheckInterval) return;
+			lastCheck = Date.now();
+			let heldTokens = Array.from(this.ownedTokens.get(owner) || []);
+			let result = await client.runScript(
+				'deadlockCheck',
+				prefix,
+				expiry,
+				owner,
+				waitId,
+				waitKey,
+				holders.length,
+				...holders,
+				...ownTokens,
+				...heldTokens
+			);
+			if (result[0] !== 1) return;
+			let cycle = [];
+			for (let i = 1; i < result.length; i += 2) {
+				cycle.push({ owner: result[i], key: result[i + 1] });
+			}
+			// Every waiter in the cycle finds it, so only one of them gives up
+			let victim = _.max(cycle.map((entry) => entry.owner));
+			if (victim === owner) {
+				throw new DeadlockError(waitKey, cycle);
+			}
+		};
+
+		let stop = () => {
+			if (lastCheck === null) return;
+			client.srem(prefix + ':dlwaits:' + owner, waitId).catch(() => {});
+			client.del(prefix + ':dlwait:' + waitId, prefix + ':dlwkey:' + waitId).catch(() => {});
+		};
+
+		return { check, stop };
+	}
+
+}
+
+module.exports = DeadlockDetector;
@@ -0,0 +1,32 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+
+/**
+ * Error when waiting for a lock would never finish because the waiters form a cycle, each
+ * waiting for a lock held by the next.
+ *
+ * @class DeadlockError
+ * @constructor
+ * @param {String} lockKey - The key this waiter was waiting for
+ * @param {Object[]} cycle - The waiters in the cycle, starting with this one.  Each entry has an
+ *   `owner` (the deadlock owner of the waiter) and the `key` it is waiting for.
+ */
+class DeadlockError extends XError {
+
+	constructor(lockKey, cycle) {
+		let msg = 'Deadlock detected while waiting for lock on: ' + lockKey;
+		super(XError.DEADLOCK, msg, { key: lockKey, cycle });
+	}
+
+}
+
+// Register the XError code with default message
+XError.registerErrorCode('deadlock', {
+	message: 'Deadlock detected while waiting for a lock',
+	http: 500
+});
+
+module.exports = DeadlockError;
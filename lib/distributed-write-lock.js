@@ -4,12 +4,14 @@
 
 const XError = require('xerror');
 const pasync = require('pasync');
+const EventEmitter = require('events').EventEmitter;
 /**
- * A class with the same interface as RWLock that represents a distributed write lock.
+ * A class with the same interface as RWLock that represents a distributed write lock.  Emits
+ * `lost` and aborts `signal` when the lock is lost on any shard.
  *
  * @class DistributedWriteLock
  */
-class DistributedWriteLock {
+class DistributedWriteLock extends EventEmitter {
 
 	/**
 	 * @constructor
@@ -20,16 +22,69 @@ class DistributedWriteLock {
 	 * @param {Boolean} [isWriteLock=false] - If true, this lock is a write lock.
 	 * @param {Number} [heartbeatInterval=1000] - Heartbeat interval in milliseconds, null or false to disable
 	 * @param {Number} [heartbeatTimeout=5] - Heartbeat timeout in seconds
+	 * @param {Number} [fencingToken=null] - Monotonically increasing number issued for this lock
 	 */
-	constructor(rwlocks) {
+	constructor(rwlocks, fencingToken = null) {
+		super();
 		this.rwlocks = rwlocks;
 		this.locker = rwlocks[0].locker;
 		this.key = rwlocks[0].key;
 		this.isWriteLock = rwlocks[0].isWriteLock;
 		this.isLocked = true;
 		this.token = rwlocks[0].token;
+		this.fencingToken = fencingToken;
+		// Set by the locker to the lock type this lock is counted as in metrics
+		this.metricsLockType = null;
+		// Tracer span covering the time this lock is held, set by the locker
+		this.holdSpan = null;
 		// Number of times this lock has been locked.  Expect the same number of releases.
 		this.referenceCount = 1;
+		this.isLost = false;
+		this._abortController = new AbortController();
+		this.signal = this._abortController.signal;
+		this.numLostShards = 0;
+		this._watchShards();
+	}
+
+	/**
+	 * Listens for the lock being lost on any of its shards.
+	 *
+	 * @method _watchShards
+	 * @private
+	 */
+	_watchShards() {
+		for (let lock of this.rwlocks) {
+			lock.once('lost', (error) => {
+				this.numLostShards++;
+				this._onShardLost(error);
+			});
+		}
+	}
+
+	/**
+	 * Called when the lock on one of the shards is lost.
+	 *
+	 * @method _onShardLost
+	 * @protected
+	 * @param {LockLostError} error
+	 */
+	_onShardLost(error) {
+		this._markLost(error);
+	}
+
+	/**
+	 * Records that this lock is no longer held.  Aborts `signal` and emits `lost` .
+	 *
+	 * @method _markLost
+	 * @protected
+	 * @param {LockLostError} error
+	 */
+	_markLost(error) {
+		if (!this.isLocked || this.isLost) return;
+		this.isLost = true;
+		if (this.holdSpan) this.holdSpan.recordError(error);
+		this._abortController.abort(error);
+		this.emit('lost', error);
 	}
 
 	/**
@@ -41,6 +96,7 @@ class DistributedWriteLock {
 	async forceRelease() {
 		if (!this.isLocked) return;
 		this.isLocked = false;
+		this.locker._recordLockReleased(this);
 		let promises = [];
 		for (let lock of this.rwlocks) {
 			promises.push(lock.forceRelease());
@@ -48,6 +104,127 @@ class DistributedWriteLock {
 		await Promise.all(promises);
 	}
 
+	/**
+	 * Extends the lock on every shard so that it expires `seconds` from now.  See `RWLock#extend()` .
+	 *
+	 * @method extend
+	 * @param {Number} seconds
+	 * @return {Promise{DistributedWriteLock}} - Resolves with `this` .  Rejects with a
+	 *   `LockLostError` if the lock has been lost on any shard.
+	 */
+	async extend(seconds) {
+		if (!this.isLocked) {
+			throw new XError(XError.INTERNAL_ERROR, 'Cannot extend a lock that has been released.');
+		}
+		await Promise.all(this.rwlocks.map((lock) => lock.extend(seconds)));
+		return this;
+	}
+
+	/**
+	 * Checks redis to confirm that this lock is still held on every shard.
+	 *
+	 * @method isStillHeld
+	 * @return {Promise{Boolean}}
+	 */
+	async isStillHeld() {
+		if (!this.isLocked) return false;
+		let results = await Promise.all(this.rwlocks.map((lock) => lock.isStillHeld()));
+		return results.every((held) => held);
+	}
+
+	/**
+	 * Atomically downgrades this lock to a reader lock.  The write lock on the shard the key lives
+	 * on is downgraded to a read lock, which keeps out both normal and distributed writers, and
+	 * then the write locks on the other shards are released.
+	 *
+	 * @method downgrade
+	 * @return {Promise{DistributedWriteLock}} - Resolves with `this`
+	 */
+	async downgrade() {
+		if (!this.isLocked) {
+			throw new XError(XError.INTERNAL_ERROR, 'Cannot downgrade a lock that has been released.');
+		}
+		if (!this.isWriteLock) return this;
+		let keyShardName = await this.locker._getShardName(this.key);
+		let shardNames = await Promise.all(this.rwlocks.map((lock) => {
+			return this.locker._getShardName(lock._getShardKey());
+		}));
+		let keptLock = this.rwlocks[Math.max(shardNames.indexOf(keyShardName), 0)];
+		await keptLock.downgrade();
+		let otherLocks = this.rwlocks.filter((lock) => lock !== keptLock);
+		this.rwlocks = [ keptLock ];
+		this.token = keptLock.token;
+		this.isWriteLock = false;
+		this.fencingToken = null;
+		this.locker._recordLockTypeChange(this, 'read');
+		await Promise.all(otherLocks.map((lock) => lock.forceRelease()));
+		return this;
+	}
+
+	/**
+	 * Upgrades a downgraded lock back to a write lock.  Like upgrading a plain read lock, the read
+	 * lock is released before the write lock is acquired on every shard, so another writer may get
+	 * the lock in between.
+	 *
+	 * @method upgrade
+	 * @param {Object} [options={}] - Same options as `RWLock#upgrade()`
+	 * @return {Promise{DistributedWriteLock}} - Resolves with `this`
+	 */
+	async upgrade(options = {}) {
+		if (!this.isLocked) {
+			throw new XError(XError.INTERNAL_ERROR, 'Cannot upgrade a lock that has been released.');
+		}
+		if (this.isWriteLock) return this;
+		await this.forceRelease();
+		// Skip reentrancy, which would find this lock again
+		let newLock = await this.locker.writeLock(this.key, Object.assign(
+			{},
+			options,
+			this._getUpgradeOptions(),
+			{ _skipReentrancy: true }
+		));
+		this._adoptLock(newLock);
+		return this;
+	}
+
+	/**
+	 * Returns the lock options that acquire a write lock of the same kind as this lock.
+	 *
+	 * @method _getUpgradeOptions
+	 * @protected
+	 * @return {Object}
+	 */
+	_getUpgradeOptions() {
+		return { distributed: true, quorum: false };
+	}
+
+	/**
+	 * Takes over the shard locks of a newly acquired lock, which this lock is then held in place of.
+	 *
+	 * @method _adoptLock
+	 * @protected
+	 * @param {DistributedWriteLock} newLock
+	 */
+	_adoptLock(newLock) {
+		for (let lock of newLock.rwlocks) {
+			lock.removeAllListeners('lost');
+		}
+		this.rwlocks = newLock.rwlocks;
+		this.token = newLock.token;
+		this.fencingToken = newLock.fencingToken;
+		this.isWriteLock = newLock.isWriteLock;
+		this.isLocked = true;
+		this.numLostShards = 0;
+		if (this.isLost) {
+			// The new write lock gets a fresh signal; the old one stays aborted
+			this.isLost = false;
+			this._abortController = new AbortController();
+			this.signal = this._abortController.signal;
+		}
+		this._watchShards();
+		this.locker._transferLockRecord(newLock, this);
+	}
+
 	/**
 	 * Decrements the reference counter.  If it is decremented to zero, the lock is released.
 	 *
@@ -57,7 +234,10 @@ class DistributedWriteLock {
 		this.referenceCount--;
 		if (this.referenceCount < 0) {
 			this.referenceCount = 0;
-			console.warn('Lock on ' + this.key + ' released too many times');
+			this.locker._emitEvent('overRelease', 'warn', 'Lock on ' + this.key + ' released too many times', {
+				key: this.key,
+				token: this.token
+			});
 		}
 		if (this.referenceCount === 0) {
 			return this.forceRelease();
@@ -3,3 +3,10 @@
 // http://www.apache.org/licenses/LICENSE-2.0
 
 module.exports = require('./locker');
+module.exports.PrometheusMetrics = require('./prometheus-metrics');
+module.exports.NoopTracer = require('./noop-tracer');
+module.exports.OpenTelemetryTracer = require('./opentelemetry-tracer');
+module.exports.MemoryRedizClient = require('./memory-rediz-client');
+module.exports.RedisBackend = require('./redis-backend');
+module.exports.IORedisBackend = require('./ioredis-backend');
+module.exports.NodeRedisBackend = require('./node-redis-backend');
@@ -0,0 +1,148 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const EventEmitter = require('events').EventEmitter;
+const XError = require('xerror');
+const RedisBackend = require('./redis-backend');
+
+// Matches keys containing a Redis Cluster hash tag
+const HASH_TAG_REGEX = /\{[^}]+\}/;
+
+/**
+ * A subscriber connection of an ioredis client.  ioredis clients have no `unref()` method, so this
+ * unrefs the socket of the connection instead, including after reconnects.  The connections of a
+ * `Cluster` client are not exposed by ioredis, so these keep the process alive until `quit()` is
+ * called.
+ *
+ * @class IORedisSubscriber
+ * @constructor
+ * @param {Redis|Cluster} client - A client from `duplicate()`
+ */
+class IORedisSubscriber extends EventEmitter {
+
+	constructor(client) {
+		super();
+		this.client = client;
+		this.isUnrefed = false;
+		for (let event of [ 'message', 'end', 'error' ]) {
+			client.on(event, (...args) => this.emit(event, ...args));
+		}
+		client.on('ready', (...args) => {
+			// Reconnecting replaces the socket
+			if (this.isUnrefed) this._unrefStream();
+			this.emit('ready', ...args);
+		});
+	}
+
+	subscribe(channel) {
+		this.client.subscribe(channel).catch((err) => this.emit('error', err));
+	}
+
+	unsubscribe(channel) {
+		this.client.unsubscribe(channel).catch((err) => this.emit('error', err));
+	}
+
+	unref() {
+		this.isUnrefed = true;
+		this._unrefStream();
+	}
+
+	_unrefStream() {
+		if (this.client.stream && typeof this.client.stream.unref === 'function') this.client.stream.unref();
+	}
+
+	quit() {
+		return this.client.quit();
+	}
+
+}
+
+/**
+ * A backend for using a `Locker` with an [ioredis](https://github.com/redis/ioredis) client, either
+ * a `Redis` client for a single node or a `Cluster` client.
+ *
+ * Redis Cluster only runs a script if all the keys it uses are in the same hash slot, so with a
+ * cluster, the prefix of the locker must contain a hash tag, such as `{rzlock}:` .  All locks are
+ * then stored on the same node.  Scripts that get their keys as params (such as those locking
+ * several keys at once) are routed to this node by passing a key with the hash tag as an unused
+ * key argument.
+ *
+ * @class IORedisBackend
+ * @extends RedisBackend
+ * @constructor
+ * @param {Redis|Cluster} client - A connected ioredis client
+ */
+class IORedisBackend extends RedisBackend {
+
+	constructor(client) {
+		super();
+		this.client = client;
+		this.isCluster = !!client.isCluster;
+	}
+
+	_evalScript(script, args) {
+		if (!this.isCluster) return super._evalScript(script, args);
+		let routingKey = args.find((arg) => HASH_TAG_REGEX.test(arg));
+		if (routingKey === undefined) {
+			return Promise.reject(new XError(
+				XError.INVALID_ARGUMENT,
+				'The locker prefix must contain a hash tag to be used with Redis Cluster'
+			));
+		}
+		if (script.numKeyArgs > 0) return super._evalScript(script, args);
+		// Scripts without key arguments ignore KEYS, so the routing key does not change their behavior
+		return super._evalScript({
+			scriptText: script.scriptText,
+			sha: script.sha,
+			numKeyArgs: 1
+		}, [ routingKey ].concat(args));
+	}
+
+	_sendCommand(command, args) {
+		if (this.isCluster && command === 'scan') return this._scanCluster(args);
+		return this.client.call(command, ...args)
+			.catch((err) => {
+				throw this._convertError(err);
+			});
+	}
+
+	/**
+	 * Scans the keys of all master nodes of a cluster.  Each node is scanned completely, so the
+	 * returned cursor is always `0` .
+	 *
+	 * @method _scanCluster
+	 * @private
+	 * @param {Mixed[]} args - The cursor, which is ignored, and options of the `SCAN` command
+	 * @return {Promise{Array}} - The next cursor and the keys
+	 */
+	async _scanCluster(args) {
+		let keys = [];
+		try {
+			for (let node of this.client.nodes('master')) {
+				let cursor = '0';
+				do {
+					let result = await node.call('scan', cursor, ...args.slice(1));
+					cursor = result[0];
+					keys.push(...result[1]);
+				} while (cursor !== '0');
+			}
+		} catch (err) {
+			throw this._convertError(err);
+		}
+		return [ '0', keys ];
+	}
+
+	/**
+	 * Opens a new connection for subscribing to channels.
+	 *
+	 * @method duplicate
+	 * @return {IORedisSubscriber}
+	 */
+	duplicate() {
+		return new IORedisSubscriber(this.client.duplicate());
+	}
+
+}
+
+module.exports = IORedisBackend;
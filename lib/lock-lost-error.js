@@ -0,0 +1,30 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+
+/**
+ * Error when a lock that was previously acquired is no longer held, because it expired or was
+ * taken over by another holder.
+ *
+ * @class LockLostError
+ * @constructor
+ */
+class LockLostError extends XError {
+
+	constructor(lockKey, message, data = {}) {
+		let msg = message || 'The lock is no longer held on the resource: ' + lockKey;
+		data.key = lockKey;
+		super(XError.LOCK_LOST, msg, data);
+	}
+
+}
+
+// Register the XError code with default message
+XError.registerErrorCode('lock_lost', {
+	message: 'A lock is no longer held',
+	http: 500
+});
+
+module.exports = LockLostError;
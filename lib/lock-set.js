@@ -5,13 +5,17 @@
 const pasync = require('pasync');
 const Profiler = require('simprof');
 const ResourceLockedError = require('./resource-locked-error');
+const LockLostError = require('./lock-lost-error');
 const LockerBase = require('./locker-base');
+const XError = require('xerror');
 const _ = require('lodash');
 
 const profiler = new Profiler('Locker');
 
 /**
- * Contains a collection of locks that can all be released or upgraded at once.
+ * Contains a collection of locks that can all be released or upgraded at once.  Emits `lost`
+ * (with the lock's `LockLostError`) and aborts `signal` when any lock in the collection, or in a
+ * dependent LockSet, is lost.
  *
  * @class LockSet
  * @constructor
@@ -25,6 +29,26 @@ class LockSet extends LockerBase {
 		this.dependentLockSets = [];
 		this.locker = locker;
 		this.tokenBase = locker.tokenBase;
+		// Identifies the locks in this set (and its dependent sets) for deadlock detection
+		this.deadlockOwner = locker._generateTokenBase();
+		this.isLost = false;
+		this._abortController = new AbortController();
+		this.signal = this._abortController.signal;
+		this._onLockLost = (error) => this._markLost(error);
+	}
+
+	/**
+	 * Records that a lock in this collection is no longer held.  Aborts `signal` and emits `lost` .
+	 *
+	 * @method _markLost
+	 * @protected
+	 * @param {LockLostError} error
+	 */
+	_markLost(error) {
+		if (this.isLost) return;
+		this.isLost = true;
+		this._abortController.abort(error);
+		this.emit('lost', error);
 	}
 
 	_captureStack(options = {}) {
@@ -41,6 +65,7 @@ class LockSet extends LockerBase {
 	addLock(lock) {
 		if (this.locks[lock.key]) throw new ResourceLockedError(lock.key, 'A lock is already held for this key');
 		this.locks[lock.key] = lock;
+		lock.once('lost', this._onLockLost);
 	}
 
 	/**
@@ -52,6 +77,7 @@ class LockSet extends LockerBase {
 	 */
 	addDependentLockSet(lockSet) {
 		this.dependentLockSets.push(lockSet);
+		lockSet.once('lost', this._onLockLost);
 	}
 
 	/**
@@ -80,6 +106,43 @@ class LockSet extends LockerBase {
 		return false;
 	}
 
+	/**
+	 * Checks redis to confirm that every lock in the collection (including dependent LockSets)
+	 * is still held.  All locks are checked concurrently.
+	 *
+	 * @method verifyAll
+	 * @return {Promise{LockSet}} - Resolves with `this` if all locks are still held.  Otherwise,
+	 *   rejects with a `LockLostError` whose `data.keys` lists the keys of the lost locks.
+	 */
+	verifyAll() {
+		let locks = this._getAllLocks();
+		return Promise.all(locks.map((lock) => lock.isStillHeld()))
+			.then((results) => {
+				let lostKeys = locks.filter((lock, idx) => !results[idx]).map((lock) => lock.key);
+				if (lostKeys.length) {
+					throw new LockLostError(lostKeys[0], 'Locks are no longer held on: ' + lostKeys.join(', '), {
+						keys: lostKeys
+					});
+				}
+				return this;
+			});
+	}
+
+	/**
+	 * Returns all locks in this LockSet and its dependent LockSets.
+	 *
+	 * @method _getAllLocks
+	 * @protected
+	 * @return {RWLock[]}
+	 */
+	_getAllLocks() {
+		let locks = _.values(this.locks);
+		for (let lockSet of this.dependentLockSets) {
+			locks = locks.concat(lockSet._getAllLocks());
+		}
+		return locks;
+	}
+
 	/**
 	 * Releases all locks in the collection.
 	 *
@@ -170,6 +233,21 @@ class LockSet extends LockerBase {
 			});
 	}
 
+	/**
+	 * Atomically downgrades all write locks in the collection, including those in dependent
+	 * LockSets, to read locks.
+	 *
+	 * @method downgrade
+	 * @return {Promise}
+	 */
+	downgrade() {
+		return pasync.eachSeries(Object.keys(this.locks), (lockKey) => {
+			return this.locks[lockKey].downgrade();
+		}).then(() => {
+			return pasync.eachSeries(this.dependentLockSets, (lockSet) => lockSet.downgrade());
+		});
+	}
+
 	/**
 	 * Acquires a writer lock on a key.  As long as any thread has a writer lock on a key, no other
 	 * threads can have either a reader or a writer lock.  If this LockSet already contains a lock
@@ -187,9 +265,9 @@ class LockSet extends LockerBase {
 	writeLock(key, options = {}) {
 		let prof = profiler.begin('#writeLock');
 
+		options = _.defaults({}, options, { tokenBase: this.tokenBase, deadlockOwner: this.deadlockOwner });
 		this._captureStack(options);
 
-		if (!options.tokenBase) options.tokenBase = this.tokenBase;
 		if (this.locks[key]) {
 			return this.locks[key].upgrade(options)
 				.then((lock) => {
@@ -229,6 +307,7 @@ class LockSet extends LockerBase {
 	readLock(key, options = {}) {
 		let prof = profiler.begin('#readLock');
 
+		options = _.defaults({}, options, { deadlockOwner: this.deadlockOwner });
 		this._captureStack(options);
 
 		if (this.locks[key]) {
@@ -244,6 +323,115 @@ class LockSet extends LockerBase {
 		}
 	}
 
+	/**
+	 * Acquires a mix of read and write locks.  Keys listed as both read and write are write
+	 * locked.  The keys are acquired in the locker's canonical key order (see
+	 * `Locker#_orderKeys()`), so callers using this method cannot deadlock each other.  Runs of
+	 * consecutive keys of the same lock type on the same shard are locked together in a single
+	 * round trip, as by `readLockSet()` and `writeLockSet()` .  Keys already in this LockSet are
+	 * handled as by `readLock()` and `writeLock()` .
+	 *
+	 * @method acquire
+	 * @param {Object} plan
+	 *   @param {String[]} [plan.read=[]] - Keys to read lock
+	 *   @param {String[]} [plan.write=[]] - Keys to write lock
+	 * @param {Object} [options={}] - Lock options, as for `readLock()` and `writeLock()`
+	 * @return {Promise{LockSet}} - Resolves with `this` .  If any of the locks cannot be acquired,
+	 *   the locks acquired by this call are released again, read locks upgraded by this call are
+	 *   downgraded again, and the error is returned.
+	 */
+	acquire(plan, options = {}) {
+		let readKeys = plan.read || [];
+		let writeKeys = plan.write || [];
+		if (!_.isArray(readKeys) || !_.isArray(writeKeys)) {
+			return Promise.reject(new XError(XError.INVALID_ARGUMENT, 'read and write must be arrays of keys'));
+		}
+		options = _.defaults({}, options, { tokenBase: this.tokenBase, deadlockOwner: this.deadlockOwner });
+		this._captureStack(options);
+		let toWrite = new Set(writeKeys);
+		// Functions undoing each step taken so far, run in reverse order if a step fails
+		let undoSteps = [];
+		return this.locker._groupKeysByShard(_.uniq(readKeys.concat(writeKeys)).sort(), options)
+			.then( (groups) => pasync.eachSeries(this._planRuns(groups, toWrite), (run) => {
+				return this._acquireRun(run, options, undoSteps);
+			}))
+			.then( () => this)
+			.catch( (error) => {
+				return pasync.eachSeries(undoSteps.reverse(), (undoStep) => undoStep())
+					.then( () => {
+						throw error;
+					});
+			});
+	}
+
+	/**
+	 * Splits the keys of an `acquire()` plan into the steps that acquire them, in order.  Keys
+	 * already in this LockSet get a step of their own.  Other keys are batched into runs of keys
+	 * with the same lock type on the same shard.
+	 *
+	 * @method _planRuns
+	 * @private
+	 * @param {String[][]} groups - Keys grouped by shard, in canonical order
+	 * @param {Set} toWrite - Keys to write lock
+	 * @return {Object[]} - Runs, with `keys` , `toWrite` and `existing` properties
+	 */
+	_planRuns(groups, toWrite) {
+		let runs = [];
+		for (let groupKeys of groups) {
+			let run = null;
+			for (let key of groupKeys) {
+				let existing = !!this.locks[key];
+				if (existing || !run || run.existing || run.toWrite !== toWrite.has(key)) {
+					run = { keys: [], toWrite: toWrite.has(key), existing };
+					runs.push(run);
+				}
+				run.keys.push(key);
+			}
+		}
+		return runs;
+	}
+
+	/**
+	 * Acquires the locks of one step of `acquire()` , and records how to undo it.
+	 *
+	 * @method _acquireRun
+	 * @private
+	 * @param {Object} run - A run from `_planRuns()`
+	 * @param {Object} options - Lock options
+	 * @param {Function[]} undoSteps - Functions undoing the steps taken so far
+	 * @return {Promise}
+	 */
+	_acquireRun(run, options, undoSteps) {
+		if (run.existing) {
+			let key = run.keys[0];
+			let wasWriteLock = this.locks[key].isWriteLock;
+			let lockPromise = run.toWrite ?
+				this.writeLock(key, _.clone(options)) :
+				this.readLock(key, _.clone(options));
+			return lockPromise.then( (lock) => {
+				undoSteps.push(() => {
+					return lock.release().then( () => {
+						if (!wasWriteLock && lock.isLocked && lock.isWriteLock) return lock.downgrade();
+					});
+				});
+			});
+		}
+		return this.locker._acquireLocks(run.keys, run.toWrite, _.clone(options))
+			.then( (locks) => {
+				for (let lock of locks) {
+					this.addLock(lock);
+					undoSteps.push(() => {
+						return lock.release().then( () => {
+							if (!lock.isLocked && this.locks[lock.key] === lock) {
+								delete this.locks[lock.key];
+								lock.removeListener('lost', this._onLockLost);
+							}
+						});
+					});
+				}
+			});
+	}
+
 	/**
 	 * Creates a new lock set and adds it as a dependent LockSet.
 	 *
@@ -252,6 +440,7 @@ class LockSet extends LockerBase {
 	 */
 	createLockSet() {
 		let dependentSet = this.locker.createLockSet();
+		dependentSet.deadlockOwner = this.deadlockOwner;
 		this.addDependentLockSet(dependentSet);
 		return dependentSet;
 	}
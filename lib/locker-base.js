@@ -8,6 +8,7 @@ const XError = require('xerror');
 const uuid = require('uuid').v4;
 const os = require('os');
 const process = require('process');
+const EventEmitter = require('events').EventEmitter;
 
 const hostname = os.hostname();
 const pid = process.pid;
@@ -17,7 +18,7 @@ const pid = process.pid;
  *
  * @class LockerBase
  */
-class LockerBase {
+class LockerBase extends EventEmitter {
 
 	_generateTokenBase() {
 		return `TOK-${hostname}-${pid}-${uuid().substr(0, 8)}`;
@@ -76,6 +77,7 @@ class LockerBase {
 	/**
 	* Acquires a read lock for each key given. If any of the keys fail to be locked, all
 	* that were in the list that were locked will be released, and the error will be returned.
+	* A Locker locks keys on the same shard together in a single round trip.
 	*
 	* @method readLockSet
 	* @param {String[]} keys - the keys to read lock on
@@ -87,6 +89,9 @@ class LockerBase {
 	*     the lock to become available.  If this is 0, this function returns immediately if the
 	*     lock cannot be acquired.
 	*   @param {LockSet} [options.lockSet] - a lockSet you would like these new locks to be added to
+	*   @param {Boolean} [options.orderKeys] - If true, keys are locked in a canonical order instead
+	*     of the given order, so that lock sets cannot deadlock each other.  Defaults to the
+	*     locker's `orderKeys` setting (false unless configured otherwise).
 	* @return {Promise{LockSet}} - Resolves with a new lockSet containing all locks that were read locked,
 	*  or the lockSet given with the new read locks added to the set. Rejects with an XError. If the lock
 	*  cannot be acquired because of a `maxWaitTime` timeout, this rejects with a `ResourceLockedError`
@@ -101,6 +106,7 @@ class LockerBase {
 	/**
 	* Acquires a write lock for each key given. If any of the keys fail to be locked, all
 	* that were in the list that were locked will be released, and the error will be returned.
+	* A Locker locks keys on the same shard together in a single round trip.
 	*
 	* @method writeLockSet
 	* @param {String[]} keys - the keys to read lock on
@@ -112,6 +118,9 @@ class LockerBase {
 	*     the lock to become available.  If this is 0, this function returns immediately if the
 	*     lock cannot be acquired.
 	*   @param {LockSet} [options.lockSet] - a lockSet you would like these new locks to be added to
+	*   @param {Boolean} [options.orderKeys] - If true, keys are locked in a canonical order instead
+	*     of the given order, so that lock sets cannot deadlock each other.  Defaults to the
+	*     locker's `orderKeys` setting (false unless configured otherwise).
 	* @return {Promise{LockSet}} - Resolves with a new lockSet containing all locks that were read locked,
 	*  or the lockSet given with the new read locks added to the set. Rejects with an XError. If the lock
 	*  cannot be acquired because of a `maxWaitTime` timeout, this rejects with a `ResourceLockedError`
@@ -145,22 +154,42 @@ class LockerBase {
 	*/
 	_rwLockSet(keys, toWrite, options) {
 		if (!_.isArray(keys)) return Promise.reject(new XError(XError.INVALID_ARGUMENT, 'keys must be an array'));
-		let locks = [];
 		let lockSet = options.lockSet ? options.lockSet : this.createLockSet();
+		options = _.defaults({}, options, {
+			deadlockOwner: lockSet.deadlockOwner,
+			orderKeys: lockSet.locker.defaults.orderKeys
+		});
+		let keysToLock = _.uniq(keys).filter((key) => !lockSet.getLock(key));
+		return Promise.resolve()
+			.then( () => options.orderKeys ? lockSet.locker._orderKeys(keysToLock, options) : keysToLock)
+			.then( (keysToLock) => this._acquireLocks(keysToLock, toWrite, options))
+			.then( (locks) => {
+				for (let lock of locks) {
+					lockSet.addLock(lock);
+				}
+				return lockSet;
+			});
+	}
+
+	/**
+	 * Acquires a lock on each of the given keys for `_rwLockSet()` .  If any of the keys fail to be
+	 * locked, the locks acquired so far are released before rejecting.
+	 *
+	 * @method _acquireLocks
+	 * @protected
+	 * @param {String[]} keys - The distinct keys to lock
+	 * @param {Boolean} toWrite - Whether to acquire write locks or read locks
+	 * @param {Object} options - Lock options
+	 * @return {Promise{RWLock[]}} - Resolves with the locks, in the same order as `keys`
+	 */
+	_acquireLocks(keys, toWrite, options) {
+		let locks = [];
 		let func = toWrite ? this.writeLock : this.readLock;
 		return pasync.eachSeries(keys, (key) => {
-			if (lockSet.getLock(key)) return Promise.resolve();
-			if (_.includes(_.map(locks, 'key'), key)) return Promise.resolve();
 			return func.call(this, key, options)
 				.then( (lock) => locks.push(lock));
 		})
-			.then( () => {
-				if (!locks.length) return lockSet;
-				for (let lock of locks) {
-					lockSet.addLock(lock);
-				}
-				return lockSet;
-			})
+			.then( () => locks)
 			.catch( (error) => {
 				return pasync.eachSeries(locks, (lock) => {
 					return lock.release();
@@ -180,7 +209,8 @@ class LockerBase {
 	 * @method readLockWrap
 	 * @param {String} key
 	 * @param {Object} [options={}]
-	 * @param {Function} fn - Function that is executed when the lock is acquired.
+	 * @param {Function} fn - Function that is executed when the lock is acquired.  It is called
+	 *   with the lock and an `AbortSignal` that is aborted if the lock is lost.
 	 * @return {Promise} - Resolves or rejects with the return value of `fn` .
 	 */
 	readLockWrap(key, options, fn) {
@@ -199,7 +229,7 @@ class LockerBase {
 		return this.readLock(key, options)
 			.then( (_rwlock) => {
 				rwlock = _rwlock;
-				return fn(rwlock);
+				return this._runWithLock(rwlock, fn);
 			})
 			.then( (result) => {
 				if (rwlock.isLocked) {
@@ -223,7 +253,8 @@ class LockerBase {
 	 * @method writeLockWrap
 	 * @param {String} key
 	 * @param {Object} [options={}]
-	 * @param {Function} fn
+	 * @param {Function} fn - Called with the lock and an `AbortSignal` that is aborted if the
+	 *   lock is lost.
 	 * @return {Promise}
 	 */
 	async writeLockWrap(key, options, fn) {
@@ -232,13 +263,27 @@ class LockerBase {
 		let rwlock = await this.writeLock(key, options);
 		let result;
 		try {
-			result = await fn();
+			result = await this._runWithLock(rwlock, fn);
 		} finally {
 			rwlock.release();
 		}
 		return result;
 	}
 
+	/**
+	 * Calls a function wrapped by `readLockWrap()` or `writeLockWrap()` with the lock and its
+	 * signal.
+	 *
+	 * @method _runWithLock
+	 * @protected
+	 * @param {RWLock} rwlock
+	 * @param {Function} fn
+	 * @return {Mixed} - The return value of `fn`
+	 */
+	_runWithLock(rwlock, fn) {
+		return fn(rwlock, rwlock.signal);
+	}
+
 	_captureStack(options = {}) {
 		/* Implemented by subclasses */
 	}
@@ -0,0 +1,29 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+
+/**
+ * Error when a lock is requested from, or was being waited for on, a locker that has been shut
+ * down.
+ *
+ * @class LockerShutDownError
+ * @constructor
+ * @param {String} [lockKey] - The key of the lock
+ */
+class LockerShutDownError extends XError {
+
+	constructor(lockKey) {
+		let msg = 'The locker has been shut down' + (lockKey === undefined ? '' : ': ' + lockKey);
+		super(XError.LOCKER_SHUT_DOWN, msg, { key: lockKey });
+	}
+
+}
+
+XError.registerErrorCode('locker_shut_down', {
+	message: 'The locker has been shut down',
+	http: 503
+});
+
+module.exports = LockerShutDownError;
@@ -6,10 +6,20 @@ const path = require('path');
 const pasync = require('pasync');
 const Profiler = require('simprof');
 const ResourceLockedError = require('./resource-locked-error');
+const LockLostError = require('./lock-lost-error');
+const LockerShutDownError = require('./locker-shut-down-error');
+const DeadlockDetector = require('./deadlock-detector');
 const RWLock = require('./rwlock');
 const LockSet = require('./lock-set');
 const LockerBase = require('./locker-base');
 const DistributedWriteLock = require('./distributed-write-lock');
+const QuorumLock = require('./quorum-lock');
+const SemaphoreLock = require('./semaphore-lock');
+const CoalescedReadLock = require('./coalesced-read-lock');
+const ReleaseNotifier = require('./release-notifier');
+const NoopTracer = require('./noop-tracer');
+const EventEmitter = require('events').EventEmitter;
+const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
 const XError = require('xerror');
 const _ = require('lodash');
 const objtools = require('objtools');
@@ -17,17 +27,27 @@ const os = require('os');
 const process = require('process');
 
 const profiler = new Profiler('Locker');
+const noopTracer = new NoopTracer();
 
 /**
  * Main class that acquires locks.
  *
+ * Emits the following events, which are also logged with the `logger` option:
+ * - `slowAcquire` - A lock has been waited on for longer than `warnTime` .
+ * - `eventuallyObtained` - A lock that emitted `slowAcquire` was acquired.
+ * - `heartbeatLost` - A heartbeat found a lock no longer held.
+ * - `overRelease` - A lock was released more times than it was locked.
+ * - `distributedFallback` - A write lock with `distributed: 'auto'` was replaced by a distributed
+ *   write lock because a distributed read lock started while acquiring it.  This is not logged.
+ *
  * @class Locker
  */
 class Locker extends LockerBase {
 
 	/**
 	 * @constructor
-	 * @param {RedizClient} redizClient - The RedizClient class to use to access redis.
+	 * @param {RedizClient|RedisBackend} redizClient - The RedizClient class to use to access redis,
+	 *   or a backend wrapping another redis client, such as an `IORedisBackend` .
 	 * @param {Object} [options]
 	 *   @param {String} [options.prefix='rzlock:'] - Optional redis key prefix
 	 *   @param {Number} [options.lockTimeout=10] - Default lock timeout
@@ -42,6 +62,44 @@ class Locker extends LockerBase {
 	 *     in the future that the distributed lock flag expires.
 	 *   @param {Number} [options.distributedLockFlagTimerWindow=15] - Amount of time before
 	 *     the min flag expiry that processes should start checking for the lock flag.
+	 *   @param {Boolean} [options.releaseNotifications=false] - If true, lock waiters subscribe to
+	 *     redis pub/sub release notifications and retry as soon as a lock is released, instead of
+	 *     relying only on polling.  This opens an extra redis connection per shard.
+	 *   @param {Number} [options.fairTicketTimeout=10] - Amount of time, in seconds, after which
+	 *     the queue ticket of a fair write lock waiter that stopped retrying is discarded.
+	 *   @param {Number} [options.quorumClockDriftFactor=0.01] - For quorum locks, the fraction of
+	 *     the lock timeout that is assumed to be lost to clock drift between redis nodes.
+	 *   @param {Boolean} [options.orderKeys=false] - If true, `readLockSet()` and `writeLockSet()`
+	 *     acquire keys in a canonical order (see `_orderKeys()`) instead of the order they are
+	 *     given in, so that lock sets locking overlapping keys cannot deadlock each other.  This
+	 *     locks one shard at a time instead of locking shards in parallel.  `LockSet#acquire()`
+	 *     always uses the canonical order.
+	 *   @param {Boolean} [options.reentrant=false] - If true, locks acquired by `readLockWrap()`
+	 *     and `writeLockWrap()` are remembered for the async context of the wrapped function.
+	 *     Nested `readLock()` and `writeLock()` calls on a key already locked in the current
+	 *     context reuse that lock (increasing its reference count) instead of going to redis.
+	 *   @param {Boolean} [options.coalesceReads=false] - If true, concurrent read locks on the same
+	 *     key in this process share a single read lock in redis.  Each `readLock()` call gets its
+	 *     own handle, and the shared lock is released once all handles are released.
+	 *   @param {Boolean} [options.localWriteQueue=false] - If true, write lock waiters on the same
+	 *     key in this process queue up in memory, in FIFO order, and only the first of them
+	 *     contends for the lock in redis.
+	 *   @param {Boolean} [options.deadlockDetection=false] - If true, waiters record what they are
+	 *     waiting on in a wait-for graph in redis and fail with a `DeadlockError` if they are part
+	 *     of a cycle.  Only locks with a deadlock owner (such as locks in a LockSet) can be
+	 *     detected as part of a cycle.
+	 *   @param {Number} [options.deadlockCheckInterval=500] - Minimum time, in milliseconds,
+	 *     between deadlock checks of a waiter.
+	 *   @param {Object} [options.metrics] - A metrics hook, such as a `PrometheusMetrics` instance.
+	 *     Its methods, which are all optional, are called with the lock type ('read', 'write' or
+	 *     'semaphore'): `lockAcquired(lockType, waitTime)` , `lockTimedOut(lockType, waitTime)` ,
+	 *     `conflictLost(lockType)` , `heartbeatFailed(lockType)` and `lockHeld(lockType, delta)` .
+	 *     Wait times are in seconds.
+	 *   @param {Object} [options.logger=console] - Object with `warn(message, data)` and
+	 *     `info(message, data)` methods, used to log the events emitted by this locker.
+	 *   @param {Object} [options.tracer] - A tracer, such as an `OpenTelemetryTracer` , used to
+	 *     create a span for each lock acquisition attempt and a span for the time each lock is
+	 *     held.  See `NoopTracer` for the interface.
 	 */
 	constructor(redizClient, options = {}) {
 		super();
@@ -61,12 +119,36 @@ class Locker extends LockerBase {
 			warnTime: undefined,
 			minDistributedLockFlagExpireTime: 5,
 			maxDistributedLockFlagExpireTime: 60,
-			distributedLockFlagTimerWindow: 15
+			distributedLockFlagTimerWindow: 15,
+			releaseNotifications: false,
+			fairTicketTimeout: 10,
+			quorumClockDriftFactor: 0.01,
+			orderKeys: false,
+			deadlockDetection: false,
+			deadlockCheckInterval: 500
 		};
 		this.defaults = _.defaults({}, options, defaultOpts);
 		this.debugTokens = options.debugTokens || false;
 		this.defaults.downNodeExpiry = (options.downNodeExpiry !== undefined) ?
 			options.downNodeExpiry : this.defaults.lockTimeout;
+		this.releaseNotifier = new ReleaseNotifier(this);
+		this.deadlockDetector = new DeadlockDetector(this);
+		// Holds a Map from key to lock for the locks held by the current async context
+		this.lockContext = options.reentrant ? new AsyncLocalStorage() : null;
+		// Map from key to the entry for the shared read lock on that key, if coalescing reads
+		this.coalescedReadLocks = options.coalesceReads ? new Map() : null;
+		// Map from key to the FIFO queue of local write lock waiters, if queueing local writers
+		this.localWriteQueues = options.localWriteQueue ? new Map() : null;
+		this.metrics = options.metrics || null;
+		this.tracer = options.tracer || noopTracer;
+		this.logger = options.logger || console;
+		// Locks acquired through this locker that have not been released, released on shutdown
+		this.liveLocks = new Set();
+		// Functions that wake up waiters sleeping between retries
+		this.sleepingWaiters = new Set();
+		this.isShutDown = false;
+		// Map from signal name to handler, if signal handlers are installed
+		this.signalHandlers = null;
 	}
 
 	/**
@@ -142,6 +224,189 @@ class Locker extends LockerBase {
 		}
 	}
 
+	/**
+	 * Emits an event on this locker and logs it with the locker's logger.
+	 *
+	 * @method _emitEvent
+	 * @private
+	 * @param {String} name - Event name
+	 * @param {String|null} level - Logger method to log the event with, or null to only emit it
+	 * @param {String} message - Log message
+	 * @param {Object} data - Event payload, also passed to the logger
+	 */
+	_emitEvent(name, level, message, data) {
+		this.emit(name, data);
+		if (level) this.logger[level](message, data);
+	}
+
+	/**
+	 * Calls a method of the metrics hook, if there is one.  Errors thrown by the hook are logged
+	 * and otherwise ignored.
+	 *
+	 * @method _recordMetric
+	 * @private
+	 * @param {String} method - Name of the hook method
+	 * @param {Mixed} ...args - Arguments to the hook method
+	 */
+	_recordMetric(method, ...args) {
+		if (!this.metrics || typeof this.metrics[method] !== 'function') return;
+		try {
+			this.metrics[method](...args);
+		} catch (err) {
+			this.logger.warn('Error recording lock metric ' + method, err);
+		}
+	}
+
+	/**
+	 * Records the acquisition of a lock in metrics, and counts it as held until it is passed to
+	 * `_recordLockReleased()` .  Also starts the span covering the time the lock is held, and
+	 * tracks the lock so it is released on shutdown.
+	 *
+	 * @method _recordLockAcquired
+	 * @private
+	 * @param {RWLock} lock
+	 * @param {String} lockType
+	 * @param {Number} startTime - Timestamp at which waiting for the lock started
+	 */
+	_recordLockAcquired(lock, lockType, startTime) {
+		this.liveLocks.add(lock);
+		lock.holdSpan = this.tracer.startSpan('rediz-lock.hold', {
+			'lock.key': lock.key,
+			'lock.type': lockType,
+			'lock.token': this._traceTokens(lock.token)[0]
+		});
+		if (!this.metrics) return;
+		lock.metricsLockType = lockType;
+		this._recordMetric('lockAcquired', lockType, (Date.now() - startTime) / 1000);
+		this._recordMetric('lockHeld', lockType, 1);
+	}
+
+	/**
+	 * Releases locks whose acquisition was already in progress when the locker was shut down.
+	 * `shutdown()` only releases the locks it knows about, so these would otherwise stay held,
+	 * with their heartbeats keeping the process running.  Must be called right before the locks
+	 * would be recorded as acquired, without yielding in between.
+	 *
+	 * @method _rejectAcquiredAfterShutDown
+	 * @private
+	 * @param {RWLock[]} locks - The newly acquired locks
+	 * @return {Promise} - Rejects with a `LockerShutDownError` once the locks are released
+	 */
+	async _rejectAcquiredAfterShutDown(locks) {
+		for (let lock of locks) {
+			try {
+				await lock.forceRelease();
+			} catch (err) {
+				this.logger.warn('Error releasing lock on ' + lock.key + ' acquired during shutdown', err);
+			}
+		}
+		throw new LockerShutDownError(locks[0].key);
+	}
+
+	_recordLockTimedOut(lockType, startTime) {
+		this._recordMetric('lockTimedOut', lockType, (Date.now() - startTime) / 1000);
+	}
+
+	/**
+	 * Records that a lock is no longer held, and ends its hold span.
+	 *
+	 * @method _recordLockReleased
+	 * @private
+	 * @param {RWLock} lock
+	 */
+	_recordLockReleased(lock) {
+		this.liveLocks.delete(lock);
+		if (lock.holdSpan) {
+			lock.holdSpan.end();
+			lock.holdSpan = null;
+		}
+		if (!lock.metricsLockType) return;
+		this._recordMetric('lockHeld', lock.metricsLockType, -1);
+		lock.metricsLockType = null;
+	}
+
+	/**
+	 * Moves the records of a held lock to another lock object, which is held in its place.
+	 *
+	 * @method _transferLockRecord
+	 * @private
+	 * @param {RWLock} fromLock
+	 * @param {RWLock} toLock
+	 */
+	_transferLockRecord(fromLock, toLock) {
+		if (this.liveLocks.delete(fromLock)) this.liveLocks.add(toLock);
+		toLock.metricsLockType = fromLock.metricsLockType;
+		fromLock.metricsLockType = null;
+		toLock.holdSpan = fromLock.holdSpan;
+		fromLock.holdSpan = null;
+	}
+
+	/**
+	 * Records that a held lock was upgraded or downgraded.
+	 *
+	 * @method _recordLockTypeChange
+	 * @private
+	 * @param {RWLock} lock
+	 * @param {String} lockType - The new lock type
+	 */
+	_recordLockTypeChange(lock, lockType) {
+		if (lock.holdSpan) lock.holdSpan.setAttributes({ 'lock.type': lockType });
+		if (!lock.metricsLockType) return;
+		this._recordMetric('lockHeld', lock.metricsLockType, -1);
+		this._recordMetric('lockHeld', lockType, 1);
+		lock.metricsLockType = lockType;
+	}
+
+	/**
+	 * Starts the span for a lock acquisition attempt.  Locks on single shards of distributed and
+	 * quorum locks are not traced separately.
+	 *
+	 * @method _startAcquireSpan
+	 * @private
+	 * @param {String} name - Span name
+	 * @param {String} key
+	 * @param {String} lockType
+	 * @param {Object} options - Lock options
+	 * @return {Object} - The span
+	 */
+	_startAcquireSpan(name, key, lockType, options) {
+		if (options._forceShardKey !== undefined) return noopTracer.startSpan();
+		return this.tracer.startSpan(name, {
+			'lock.key': key,
+			'lock.type': lockType,
+			'lock.distributed': !!options.distributed
+		});
+	}
+
+	/**
+	 * Ends the span for a lock acquisition attempt.
+	 *
+	 * @method _endAcquireSpan
+	 * @private
+	 * @param {Object} span
+	 * @param {Object} attributes - Final attributes of the span
+	 * @param {Error} [error] - The error the attempt failed with
+	 */
+	_endAcquireSpan(span, attributes, error) {
+		span.setAttributes(attributes);
+		if (error) span.recordError(error);
+		span.end();
+	}
+
+	/**
+	 * Converts a token or list of tokens into a list of tokens suitable for span attributes,
+	 * without embedded debug information.
+	 *
+	 * @method _traceTokens
+	 * @private
+	 * @param {String|String[]} tokens
+	 * @return {String[]}
+	 */
+	_traceTokens(tokens) {
+		if (!tokens) return [];
+		return [].concat(tokens).map((token) => this._parseDebugToken(token).token);
+	}
+
 	/**
 	 * Distributed lock flags are redis keys that are set when doing a distributed read lock.
 	 * They indicate that a distributed read lock is active (or recently active) for a lock
@@ -196,6 +461,25 @@ class Locker extends LockerBase {
 		return delay;
 	}
 
+	/**
+	 * Starts listening for release notifications on a key while waiting for a lock.
+	 *
+	 * @method _listenForRelease
+	 * @private
+	 * @param {Mixed} shardKey - The shard key the lock lives on
+	 * @param {String} key
+	 * @param {Object} options - Lock options
+	 * @return {EventEmitter|null} - Emits `release` each time the lock is released.  Call `stop()`
+	 *   on it once done waiting.  Null if release notifications are disabled or not needed.
+	 */
+	_listenForRelease(shardKey, key, options) {
+		let { releaseNotifications, maxWaitTime } = _.defaults({}, options, this.defaults);
+		if (!releaseNotifications || !maxWaitTime) return null;
+		let releaseEmitter = new EventEmitter();
+		releaseEmitter.stop = this.releaseNotifier.listen(shardKey, key, () => releaseEmitter.emit('release'));
+		return releaseEmitter;
+	}
+
 	async _checkDistributedLockFlag(key, options = {}) {
 		let { downNodeExpiry } = _.defaults(options, this.defaults);
 		let redisKey = this.prefix + ':dflag:' + key;
@@ -232,20 +516,58 @@ class Locker extends LockerBase {
 	 *   @param {Boolean} [options.enableDistributedAuto=true] - If true, and `distributed` is also
 	 *     true, this enabled distributed lock detection for the corresponding write locks when
 	 *     "auto" is passed as the `distributed` option to `writeLock()`.
+	 *   @param {Boolean} [options.quorum=false] - If true, the read lock is acquired on a majority
+	 *     of shards.  See `writeLock()` .
+	 *   @param {Boolean} [options.upgradable=false] - If true, acquires an upgradable read lock.
+	 *     It coexists with plain read locks, but only one upgradable read lock can be held on a key
+	 *     at a time, and it excludes writers.  Upgrading it to a write lock waits for the other
+	 *     readers to finish without releasing the lock in between.  Cannot be combined with
+	 *     `distributed` or `quorum` .
+	 *   @param {String} [options.deadlockOwner] - With deadlock detection enabled, identifies the
+	 *     party holding the lock, so that a cycle can be traced through the other locks it holds.
+	 *     LockSets set this automatically.
+	 *   @param {Boolean} [options.deadlockDetection] - Overrides the locker's setting.
 	 * @return {Promise{RWLock}} - Resolves with the RWLock instance which is used to release (or
 	 *   upgrade) the lock instance.  Rejects with an XError.  If the lock cannot be acquired
 	 *   because of a `maxWaitTime` timeout, this rejects with a `ResourceLockedError` (an XError
 	 *   with a code of `XError.RESOURCE_LOCKED`).
 	 */
 	async readLock(key, options = {}) {
+		if (this.isShutDown) throw new LockerShutDownError(key);
+		if (this.lockContext && !options._skipReentrancy && options._forceShardKey === undefined) {
+			return await this._reentrantLock(key, false, options);
+		}
+		if (options.upgradable && (options.distributed || options.quorum)) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Upgradable read locks cannot be distributed or quorum locks');
+		}
+		if (
+			this.coalescedReadLocks &&
+			!options._skipCoalescing &&
+			!options.distributed &&
+			!options.quorum &&
+			!options.upgradable &&
+			options._forceShardKey === undefined
+		) {
+			return await this._coalescedReadLock(key, options);
+		}
+		if (options.quorum) {
+			return await this._lockQuorum(key, false, options);
+		}
+
 		this._captureStack(options);
 
 		return await profiler.run('#readLock', async() => {
 
+			let startTime = Date.now();
 			let lastLockHolder = null;
 			let numLockHolders = 0;
 			let outputWarningMessage = false;
 			let distributedShard = null;
+			let releaseEmitter = null;
+			let deadlockWait = null;
+			let span = this._startAcquireSpan('rediz-lock.readLock', key, 'read', options);
+			let numAttempts = 0;
+			let acquireError = null;
 
 			let { maxWaitTime, lockTimeout, downNodeExpiry, heartbeatInterval, heartbeatTimeout, warnTime } =
 				_.defaults(options, this.defaults);
@@ -265,28 +587,45 @@ class Locker extends LockerBase {
 				await this.scriptWaiter.promise;
 
 				distributedShard = key;
-				if (options.distributed) {
+				if (options._forceShardKey !== undefined) {
+					distributedShard = options._forceShardKey;
+				} else if (options.distributed) {
 					distributedShard = Math.floor(Math.random() * this.redizClient.getNumShards());
 				}
 				let client = this.redizClient.shard(distributedShard, { downNodeExpiry });
+				releaseEmitter = this._listenForRelease(distributedShard, key, options);
+				deadlockWait = this.deadlockDetector.startWait(key, [ token ], options);
 
 				await this._retryUntilTimeOut(
 					async() => {
+						numAttempts++;
 						if (options.distributed && options.enableDistributedAuto !== false) {
 							await this._checkAndSetDistributedLockFlag(key, options);
 						}
 
-						let result = await client.runScript('readLock',
-							this.prefix + ':write:' + key,
-							this.prefix + ':read:' + key,
-							token,
-							lockTimeout
-						);
+						let result;
+						if (options.upgradable) {
+							result = await client.runScript('readLockUpgradable',
+								this.prefix + ':write:' + key,
+								this.prefix + ':read:' + key,
+								this.prefix + ':upgrade:' + key,
+								token,
+								lockTimeout
+							);
+						} else {
+							result = await client.runScript('readLock',
+								this.prefix + ':write:' + key,
+								this.prefix + ':read:' + key,
+								token,
+								lockTimeout
+							);
+						}
 						if (result[0] === 1) {
 							// Acquired a shared read lock
 							return true;
 						}
-						// A write lock already exists on this key
+						// A write lock (or, for upgradable locks, another upgradable lock) already exists on this key
+						if (deadlockWait) await deadlockWait.check(result[1]);
 						if (lastLockHolder !== null && result[1] !== lastLockHolder) {
 							lastLockHolder = result[1];
 							numLockHolders++;
@@ -300,7 +639,7 @@ class Locker extends LockerBase {
 					warnTime,
 					(key, time) => {
 						outputWarningMessage = true;
-						console.warn(`Taking a long time to acquire read lock ${key}`, {
+						this._emitEvent('slowAcquire', 'warn', `Taking a long time to acquire read lock ${key}`, {
 							key,
 							lockType: 'read',
 							maxWaitTime,
@@ -312,7 +651,8 @@ class Locker extends LockerBase {
 							ownDebug: this._parseDebugToken(token),
 							holderDebug: this._parseDebugToken(lastLockHolder)
 						});
-					}
+					},
+					releaseEmitter
 				);
 
 				let distributedFlagCheckTime = null;
@@ -321,17 +661,29 @@ class Locker extends LockerBase {
 				}
 
 				if (outputWarningMessage) {
-					console.log(`Read lock on ${key} eventually obtained.`);
+					this._emitEvent('eventuallyObtained', 'info', `Read lock on ${key} eventually obtained.`, {
+						key,
+						lockType: 'read'
+					});
 				}
 
 				let rwlock = new RWLock(this, key, token, distributedShard, false, heartbeatInterval, heartbeatTimeout);
+				if (options.upgradable) rwlock.isUpgradable = true;
+				this.deadlockDetector.trackLock(rwlock, options);
+				// Locks on single shards of quorum locks are counted as part of the quorum lock
+				if (options._forceShardKey === undefined) {
+					if (this.isShutDown) await this._rejectAcquiredAfterShutDown([ rwlock ]);
+					this._recordLockAcquired(rwlock, 'read', startTime);
+				}
 				if (distributedFlagCheckTime !== null) {
 					rwlock._startDistributedLockFlagCheckTimer(distributedFlagCheckTime, options);
 				}
 				return rwlock;
 
 			} catch (err) {
+				acquireError = err;
 				if (err.code === XError.RESOURCE_LOCKED) {
+					if (options._forceShardKey === undefined) this._recordLockTimedOut('read', startTime);
 					if (!err.data) err.data = {};
 					err.data.key = key;
 					err.data.lockType = 'read';
@@ -344,6 +696,13 @@ class Locker extends LockerBase {
 					err.data.holderDebug = this._parseDebugToken(lastLockHolder);
 				}
 				throw err;
+			} finally {
+				if (releaseEmitter) releaseEmitter.stop();
+				if (deadlockWait) deadlockWait.stop();
+				this._endAcquireSpan(span, {
+					'lock.retries': Math.max(numAttempts - 1, 0),
+					'lock.holders': this._traceTokens(lastLockHolder)
+				}, acquireError);
 			}
 		});
 	}
@@ -378,24 +737,56 @@ class Locker extends LockerBase {
 	 *   @param {Boolean|"auto"} [options.distributed=false] - If true, enables a distributed write
 	 *     lock.  If "auto" checks for the distributed lock flag to determine whether to do a
 	 *     distributed lock or not.
-	 * @return {Promise{RWLock}}
+	 *   @param {Boolean} [options.fair=false] - If true, the waiter enqueues a ticket in redis and
+	 *     the write lock is granted to fair waiters strictly in arrival order.  Waiters that do not
+	 *     use this option are not queued and can still acquire the lock out of turn.
+	 *   @param {Number} [options.fairTicketTimeout] - Overrides the locker's ticket timeout.
+	 *   @param {Boolean} [options.quorum=false] - If true, the lock is acquired on a majority of
+	 *     shards (treating each shard as an independent redis node), so that losing a single
+	 *     node cannot cause the same lock to be granted twice.  Readers of the key must also use
+	 *     quorum mode.
+	 *   @param {Number} [options.quorumClockDriftFactor] - Overrides the locker's clock drift factor.
+	 *   @param {String} [options.deadlockOwner] - See `readLock()` .
+	 *   @param {Boolean} [options.deadlockDetection] - Overrides the locker's setting.
+	 * @return {Promise{RWLock}} - The lock has a `fencingToken` from a per-key counter stored under
+	 *   `<prefix>:fence:<key>` , which never expires.  Rejects with a `DeadlockError` (an XError
+	 *   with a code of `XError.DEADLOCK`) if deadlock detection is enabled and this waiter is chosen
+	 *   to break a deadlock.
 	 */
 	async writeLock(key, options = {}) {
+		if (this.isShutDown) throw new LockerShutDownError(key);
+		if (this.lockContext && !options._skipReentrancy && options._forceShardKey === undefined) {
+			return await this._reentrantLock(key, true, options);
+		}
+		if (options.quorum) {
+			return await this._lockQuorum(key, true, options);
+		}
 		if (options.distributed) {
 			// Perform a distributed write lock
 			return await this._writeLockDistributed(key, options);
 		}
+		if (this.localWriteQueues && !options._skipLocalQueue && options._forceShardKey === undefined) {
+			return await this._queueLocalWriter(key, options);
+		}
 
 		this._captureStack(options);
 
 		return await profiler.run('#writeLock', async() => {
 
+			let startTime = Date.now();
 			let lastLockHolder = null;
 			let numLockHolders = 0;
 			let outputWarningMessage = false;
 
-			let { maxWaitTime, lockTimeout, downNodeExpiry, heartbeatInterval, heartbeatTimeout, warnTime } =
-				_.defaults(options, this.defaults);
+			let {
+				maxWaitTime,
+				lockTimeout,
+				downNodeExpiry,
+				heartbeatInterval,
+				heartbeatTimeout,
+				warnTime,
+				fairTicketTimeout
+			} = _.defaults(options, this.defaults);
 			if (heartbeatInterval === undefined) {
 				heartbeatInterval = lockTimeout ? (Math.floor(lockTimeout * 1000 / 3)) : false;
 			}
@@ -403,27 +794,67 @@ class Locker extends LockerBase {
 				heartbeatTimeout = Math.ceil(heartbeatInterval * 3 / 1000);
 			}
 
+			let fair = options.fair || false;
 			let resolveConflicts = options.resolveConflicts || false;
 			let conflictPriority = (options.conflictPriority === undefined) ? 50 : options.conflictPriority;
 			let token = this._createToken(options.tokenBase, conflictPriority, options);
 			let lostConflictResolution = false;
+			// Incremented by the lock script each time the write lock is claimed
+			let fencingToken = null;
 
 			await this.scriptWaiter.promise;
 
 			let writeLockClaimed = false;
+			let span = this._startAcquireSpan('rediz-lock.writeLock', key, 'write', options);
+			let numAttempts = 0;
+			let endSpan = (error) => this._endAcquireSpan(span, {
+				'lock.retries': Math.max(numAttempts - 1, 0),
+				'lock.holders': this._traceTokens(lastLockHolder)
+			}, error);
 			let shardKey = (options._forceShardKey === undefined) ? key : options._forceShardKey;
 			let client = this.redizClient.shard(shardKey, { downNodeExpiry });
+			let releaseEmitter = this._listenForRelease(shardKey, key, options);
+			let deadlockWait = this.deadlockDetector.startWait(key, [ token ], options);
+			// The ticket expires after fairTicketTimeout if cancelling it fails
+			let cancelFairTicket = () => client.runScript('writeLockFairCancel',
+				this.prefix + ':wqueue:' + key,
+				this.prefix + ':wqexp:' + key,
+				token
+			).catch((err) => {
+				this.logger.warn('Error cancelling fair write lock ticket on ' + key, err);
+			});
 			// Keep trying to establish the lock until we get it or exceed the maximum wait time
 			try {
 				await this._retryUntilTimeOut(
 					async() => {
-						let result = await client.runScript(
-							(writeLockClaimed ? 'writeLockRetry' : 'writeLock'),
-							this.prefix + ':write:' + key,
-							this.prefix + ':read:' + key,
-							token,
-							lockTimeout
-						);
+						numAttempts++;
+						let result;
+						if (fair && !writeLockClaimed) {
+							result = await client.runScript(
+								'writeLockFair',
+								this.prefix + ':write:' + key,
+								this.prefix + ':read:' + key,
+								this.prefix + ':wqueue:' + key,
+								this.prefix + ':wqexp:' + key,
+								this.prefix + ':wqseq:' + key,
+								this.prefix + ':fence:' + key,
+								this.prefix + ':upgrade:' + key,
+								token,
+								lockTimeout,
+								fairTicketTimeout
+							);
+						} else {
+							result = await client.runScript(
+								(writeLockClaimed ? 'writeLockRetry' : 'writeLock'),
+								this.prefix + ':write:' + key,
+								this.prefix + ':read:' + key,
+								this.prefix + ':fence:' + key,
+								this.prefix + ':upgrade:' + key,
+								token,
+								lockTimeout
+							);
+						}
+						if (result[0] !== 1 && deadlockWait) await deadlockWait.check(result[1]);
 						if (result[0] === 2) {
 							// We have successfully claimed the write lock, but a read lock on the
 							// same key already exists, so we have to wait until all read locks are
@@ -431,14 +862,17 @@ class Locker extends LockerBase {
 							let retVal = writeLockClaimed ? false : 'reset';
 							writeLockClaimed = true;
 							lastLockHolder = result[1];
+							if (result[2]) fencingToken = result[2];
 							return retVal;
 						} else if (result[0] === 1) {
 							// Successfully acquired the write lock and there's no existing read lock.
 							// Lock acquisition is complete.
+							if (result[1]) fencingToken = result[1];
 							return true;
 						} else {
-							// There is an existing write lock held by token result[1]
-							if (resolveConflicts) {
+							// There is an existing write lock held by token result[1], or (for fair
+							// locks) an earlier waiter with token result[1] is ahead of us in the queue
+							if (resolveConflicts && result[0] === 0) {
 								// If conflict resolution mode, the lock with the lower token "wins"
 								if (result[1] < token) {
 									lostConflictResolution = true;
@@ -469,7 +903,7 @@ class Locker extends LockerBase {
 					warnTime,
 					(key, time) => {
 						outputWarningMessage = true;
-						console.warn(`Taking a long time to acquire write lock ${key}`, {
+						this._emitEvent('slowAcquire', 'warn', `Taking a long time to acquire write lock ${key}`, {
 							key,
 							lockType: 'write',
 							maxWaitTime,
@@ -481,14 +915,19 @@ class Locker extends LockerBase {
 							ownDebug: this._parseDebugToken(token),
 							holderDebug: this._parseDebugToken(lastLockHolder)
 						});
-					}
+					},
+					releaseEmitter
 				);
 			} catch (err) {
 				// Make sure any claimed locks are cleaned up on error
 				if (writeLockClaimed) {
-					client.runScript('writeLockRelease', this.prefix + ':write:' + key, token);
+					client.runScript('writeLockRelease', this.prefix + ':write:' + key, token,
+						this.releaseNotifier.getChannel(key));
+				} else if (fair) {
+					cancelFairTicket();
 				}
 				if (err.code === XError.RESOURCE_LOCKED) {
+					if (options._forceShardKey === undefined) this._recordLockTimedOut('write', startTime);
 					if (!err.data) err.data = {};
 					err.data.key = key;
 					err.data.lockType = 'write';
@@ -500,12 +939,18 @@ class Locker extends LockerBase {
 					err.data.ownDebug = this._parseDebugToken(token);
 					err.data.holderDebug = this._parseDebugToken(lastLockHolder);
 				}
+				endSpan(err);
 				throw err;
+			} finally {
+				if (releaseEmitter) releaseEmitter.stop();
+				if (deadlockWait) deadlockWait.stop();
 			}
 
 
 			if (lostConflictResolution) {
-				throw new ResourceLockedError(key, 'Lost lock conflict resolution for: ' + key, {
+				if (fair) cancelFairTicket();
+				this._recordMetric('conflictLost', 'write');
+				let err = new ResourceLockedError(key, 'Lost lock conflict resolution for: ' + key, {
 					key,
 					lockType: 'write',
 					maxWaitTime,
@@ -514,23 +959,712 @@ class Locker extends LockerBase {
 					holder: lastLockHolder,
 					numHolders: numLockHolders
 				});
+				endSpan(err);
+				throw err;
 			} else {
 				if (outputWarningMessage) {
-					console.warn(`Write lock on ${key} eventually obtained.`);
+					this._emitEvent('eventuallyObtained', 'warn', `Write lock on ${key} eventually obtained.`, {
+						key,
+						lockType: 'write'
+					});
 				}
-				return new RWLock(
+				let rwlock = new RWLock(
 					this,
 					key,
 					token,
 					(options._forceShardKey === undefined) ? null : options._forceShardKey,
 					true,
 					heartbeatInterval,
-					heartbeatTimeout
+					heartbeatTimeout,
+					fencingToken
 				);
+				this.deadlockDetector.trackLock(rwlock, options);
+				// Locks on single shards of distributed and quorum locks are counted as part of those locks
+				if (options._forceShardKey === undefined) {
+					if (this.isShutDown) await this._rejectAcquiredAfterShutDown([ rwlock ]);
+					this._recordLockAcquired(rwlock, 'write', startTime);
+				}
+				endSpan();
+				return rwlock;
 			}
 		});
 	}
 
+	/**
+	 * Acquires a lock in reentrant mode.  If the current async context already holds a lock on
+	 * the key, that lock is reused (upgrading it first if a write lock is requested on a read
+	 * lock).  Otherwise, a new lock is acquired and remembered for the current context.
+	 *
+	 * @method _reentrantLock
+	 * @private
+	 * @param {String} key
+	 * @param {Boolean} isWriteLock
+	 * @param {Object} options - Lock options
+	 * @return {Promise{RWLock}}
+	 */
+	async _reentrantLock(key, isWriteLock, options) {
+		let opts = _.defaults({ _skipReentrancy: true }, options);
+		let heldLocks = this.lockContext.getStore();
+		let heldLock = heldLocks && heldLocks.get(key);
+		if (heldLock && heldLock.isLocked) {
+			if (isWriteLock && !heldLock.isWriteLock) {
+				if (typeof heldLock.upgrade !== 'function') {
+					throw new XError(XError.UNSUPPORTED_OPERATION, 'Cannot upgrade the lock held on: ' + key);
+				}
+				await heldLock.upgrade(opts);
+			}
+			return heldLock._relock();
+		}
+		let lock = isWriteLock ? await this.writeLock(key, opts) : await this.readLock(key, opts);
+		if (heldLocks) heldLocks.set(key, lock);
+		return lock;
+	}
+
+	/**
+	 * Runs a function wrapped by `readLockWrap()` or `writeLockWrap()` .  In reentrant mode, it
+	 * runs in a new async context that also holds `rwlock` .
+	 *
+	 * @method _runWithLock
+	 * @protected
+	 * @param {RWLock} rwlock
+	 * @param {Function} fn
+	 * @return {Mixed} - The return value of `fn`
+	 */
+	_runWithLock(rwlock, fn) {
+		if (!this.lockContext) return super._runWithLock(rwlock, fn);
+		let heldLocks = new Map(this.lockContext.getStore() || []);
+		heldLocks.set(rwlock.key, rwlock);
+		return this.lockContext.run(heldLocks, () => fn(rwlock, rwlock.signal));
+	}
+
+	/**
+	 * Returns a handle on the read lock shared by all readers of `key` in this process,
+	 * acquiring the shared lock first if there is none.  Readers that arrive while the shared
+	 * lock is being acquired wait for that acquisition (and its `maxWaitTime`).
+	 *
+	 * @method _coalescedReadLock
+	 * @private
+	 * @param {String} key
+	 * @param {Object} options - Lock options
+	 * @return {Promise{CoalescedReadLock}}
+	 */
+	async _coalescedReadLock(key, options) {
+		let entry = this.coalescedReadLocks.get(key);
+		if (entry && entry.lock && (!entry.lock.isLocked || entry.lock.isLost)) {
+			// Don't hand out more handles on a lost lock
+			entry = null;
+		}
+		if (!entry) {
+			entry = { key, lock: null, numHandles: 0 };
+			// The shared lock does not belong to any single deadlock owner
+			let opts = _.defaults({ _skipCoalescing: true, deadlockOwner: null }, options);
+			entry.promise = this.readLock(key, opts).then((lock) => {
+				entry.lock = lock;
+				return lock;
+			}, (err) => {
+				if (this.coalescedReadLocks.get(key) === entry) this.coalescedReadLocks.delete(key);
+				throw err;
+			});
+			this.coalescedReadLocks.set(key, entry);
+		}
+		entry.numHandles++;
+		let sharedLock;
+		try {
+			sharedLock = await entry.promise;
+		} catch (err) {
+			entry.numHandles--;
+			throw err;
+		}
+		return new CoalescedReadLock(this, entry, sharedLock);
+	}
+
+	/**
+	 * Called when a `CoalescedReadLock` handle is released.  Releases the shared lock in redis
+	 * when its last handle is released.
+	 *
+	 * @method _releaseCoalescedHandle
+	 * @private
+	 * @param {Object} entry - The shared lock entry of the handle
+	 * @return {Promise}
+	 */
+	_releaseCoalescedHandle(entry) {
+		entry.numHandles--;
+		if (entry.numHandles > 0) return Promise.resolve();
+		if (this.coalescedReadLocks.get(entry.key) === entry) this.coalescedReadLocks.delete(entry.key);
+		return entry.lock.forceRelease();
+	}
+
+	/**
+	 * Acquires a write lock after waiting for the write lock waiters on the same key that were
+	 * queued in this process before this one.  Only the waiter at the head of the queue contends
+	 * for the lock in redis.  Time spent in the queue counts towards `maxWaitTime` .
+	 *
+	 * @method _queueLocalWriter
+	 * @private
+	 * @param {String} key
+	 * @param {Object} options - Lock options
+	 * @return {Promise{RWLock}}
+	 */
+	async _queueLocalWriter(key, options) {
+		let { maxWaitTime } = _.defaults({}, options, this.defaults);
+		let queue = this.localWriteQueues.get(key);
+		if (!queue) {
+			queue = [];
+			this.localWriteQueues.set(key, queue);
+		}
+		let waiter = {};
+		let startTime = Date.now();
+		let timer;
+		queue.push(waiter);
+		try {
+			await new Promise((resolve, reject) => {
+				waiter.start = () => {
+					// The remaining wait time is passed on to writeLock()
+					clearTimeout(timer);
+					resolve();
+				};
+				if (queue[0] === waiter) return resolve();
+				let fail = () => {
+					this._recordLockTimedOut('write', startTime);
+					let err = new ResourceLockedError(key, 'Timed out waiting in local queue for lock on: ' + key);
+					err.data.lockType = 'write';
+					err.data.maxWaitTime = maxWaitTime;
+					err.data.numQueued = queue.indexOf(waiter);
+					reject(err);
+				};
+				if (!maxWaitTime) return fail();
+				timer = setTimeout(fail, maxWaitTime * 1000);
+			});
+			let opts = _.defaults({ _skipLocalQueue: true }, options);
+			if (maxWaitTime) {
+				opts.maxWaitTime = Math.max(maxWaitTime - (Date.now() - startTime) / 1000, 0);
+			}
+			return await this.writeLock(key, opts);
+		} finally {
+			clearTimeout(timer);
+			let idx = queue.indexOf(waiter);
+			queue.splice(idx, 1);
+			if (idx === 0 && queue.length) queue[0].start();
+			if (!queue.length && this.localWriteQueues.get(key) === queue) this.localWriteQueues.delete(key);
+		}
+	}
+
+	/**
+	 * Acquires a permit on a counting semaphore.  At most `permits` holders can hold the
+	 * semaphore at the same time.  Each holder's permit expires individually, so a crashed holder
+	 * frees its permit once its heartbeats stop.
+	 *
+	 * @method semaphore
+	 * @param {String} key - The semaphore key
+	 * @param {Object} options
+	 *   @param {Number} options.permits - Maximum number of concurrent holders
+	 *   @param {Number} [options.lockTimeout]
+	 *   @param {Number} [options.maxWaitTime]
+	 *   @param {Number} [options.downNodeExpiry]
+	 *   @param {Number} [options.heartbeatInterval]
+	 *   @param {Number} [options.heartbeatTimeout]
+	 *   @param {Number} [options.warnTime]
+	 * @return {Promise{SemaphoreLock}} - Resolves with a lock object with the same interface as
+	 *   `RWLock` .  If no permit becomes available within `maxWaitTime`, rejects with a
+	 *   `ResourceLockedError` .
+	 */
+	async semaphore(key, options = {}) {
+		if (this.isShutDown) throw new LockerShutDownError(key);
+		if (typeof options.permits !== 'number' || options.permits < 1) {
+			throw new XError(XError.INVALID_ARGUMENT, 'permits must be a positive number');
+		}
+
+		this._captureStack(options);
+
+		return await profiler.run('#semaphore', async() => {
+
+			let startTime = Date.now();
+			let holders = [];
+			let outputWarningMessage = false;
+
+			let { maxWaitTime, lockTimeout, downNodeExpiry, heartbeatInterval, heartbeatTimeout, warnTime } =
+				_.defaults(options, this.defaults);
+			if (heartbeatInterval === undefined) {
+				heartbeatInterval = lockTimeout ? (Math.floor(lockTimeout * 1000 / 3)) : false;
+			}
+			if (heartbeatTimeout === undefined && heartbeatInterval) {
+				heartbeatTimeout = Math.ceil(heartbeatInterval * 3 / 1000);
+			}
+
+			let token = this._createToken(options.tokenBase, 0, options);
+
+			await this.scriptWaiter.promise;
+
+			let client = this.redizClient.shard(key, { downNodeExpiry });
+			let releaseEmitter = this._listenForRelease(key, key, options);
+			try {
+				await this._retryUntilTimeOut(
+					async() => {
+						let result = await client.runScript('semaphoreAcquire',
+							this.prefix + ':sem:' + key,
+							token,
+							options.permits,
+							lockTimeout
+						);
+						if (result[0] === 1) return true;
+						holders = result[1];
+						return false;
+					},
+					maxWaitTime,
+					key,
+					warnTime,
+					(key, time) => {
+						outputWarningMessage = true;
+						this._emitEvent('slowAcquire', 'warn', `Taking a long time to acquire semaphore ${key}`, {
+							key,
+							lockType: 'semaphore',
+							permits: options.permits,
+							maxWaitTime,
+							ownToken: token,
+							ownTokenBase: options.tokenBase || this.tokenBase,
+							holders,
+							currentWaitTime: time,
+							ownDebug: this._parseDebugToken(token),
+							holderDebug: this._parseDebugToken(holders)
+						});
+					},
+					releaseEmitter
+				);
+			} catch (err) {
+				if (err.code === XError.RESOURCE_LOCKED) {
+					this._recordLockTimedOut('semaphore', startTime);
+					if (!err.data) err.data = {};
+					err.data.key = key;
+					err.data.lockType = 'semaphore';
+					err.data.permits = options.permits;
+					err.data.maxWaitTime = maxWaitTime;
+					err.data.ownToken = token;
+					err.data.ownTokenBase = options.tokenBase || this.tokenBase;
+					err.data.holders = holders;
+					err.data.ownDebug = this._parseDebugToken(token);
+					err.data.holderDebug = this._parseDebugToken(holders);
+				}
+				throw err;
+			} finally {
+				if (releaseEmitter) releaseEmitter.stop();
+			}
+
+			if (outputWarningMessage) {
+				this._emitEvent('eventuallyObtained', 'warn', `Semaphore ${key} eventually obtained.`, {
+					key,
+					lockType: 'semaphore'
+				});
+			}
+			let semaphoreLock = new SemaphoreLock(
+				this,
+				key,
+				token,
+				options.permits,
+				heartbeatInterval,
+				heartbeatTimeout
+			);
+			if (this.isShutDown) await this._rejectAcquiredAfterShutDown([ semaphoreLock ]);
+			this._recordLockAcquired(semaphoreLock, 'semaphore', startTime);
+			return semaphoreLock;
+		});
+	}
+
+	/**
+	 * Upgrades an upgradable read lock to a write lock.  The write lock is claimed first, so no new
+	 * readers can get in, and the upgrade completes once all other readers have released.  The
+	 * read lock is held until then, so no other writer can acquire the lock in between.
+	 *
+	 * @method _upgradeUpgradableLock
+	 * @private
+	 * @param {RWLock} rwlock - The upgradable read lock
+	 * @param {Object} [options={}] - `lockTimeout`, `maxWaitTime`, `downNodeExpiry` and `warnTime`
+	 * @return {Promise{Number}} - Resolves with the fencing token of the write lock.  Rejects with
+	 *   a `ResourceLockedError` if the other readers do not release within `maxWaitTime`, in which
+	 *   case the upgradable read lock is still held, or with a `LockLostError` if the upgradable read
+	 *   lock was lost.
+	 */
+	async _upgradeUpgradableLock(rwlock, options = {}) {
+		let key = rwlock.key;
+		let { maxWaitTime, lockTimeout, downNodeExpiry, warnTime } = _.defaults(options, this.defaults);
+		let lastReaders = null;
+		let outputWarningMessage = false;
+		let writeLockClaimed = false;
+		let fencingToken = null;
+
+		await this.scriptWaiter.promise;
+
+		let client = this.redizClient.shard(key, { downNodeExpiry });
+		let releaseEmitter = this._listenForRelease(key, key, options);
+		try {
+			await this._retryUntilTimeOut(
+				async() => {
+					let result = await client.runScript(
+						'upgradableLockUpgrade',
+						this.prefix + ':write:' + key,
+						this.prefix + ':read:' + key,
+						this.prefix + ':upgrade:' + key,
+						this.prefix + ':fence:' + key,
+						rwlock.token,
+						lockTimeout
+					);
+					if (result[0] === 1) {
+						// No other readers remain; the read lock has been converted to the write lock
+						if (result[1]) fencingToken = result[1];
+						return true;
+					} else if (result[0] === 2) {
+						// Write lock claimed, waiting for the other readers to release
+						let retVal = writeLockClaimed ? false : 'reset';
+						writeLockClaimed = true;
+						lastReaders = result[1];
+						if (result[2]) fencingToken = result[2];
+						return retVal;
+					}
+					let error = new LockLostError(key, 'Cannot upgrade lost upgradable read lock on: ' + key, {
+						ownToken: rwlock.token,
+						holder: result[1] || null
+					});
+					rwlock._markLost(error);
+					throw error;
+				},
+				maxWaitTime,
+				key,
+				warnTime,
+				(key, time) => {
+					outputWarningMessage = true;
+					this._emitEvent('slowAcquire', 'warn', `Taking a long time to upgrade read lock ${key}`, {
+						key,
+						lockType: 'upgrade',
+						maxWaitTime,
+						ownToken: rwlock.token,
+						holder: lastReaders,
+						currentWaitTime: time,
+						ownDebug: this._parseDebugToken(rwlock.token),
+						holderDebug: this._parseDebugToken(lastReaders)
+					});
+				},
+				releaseEmitter
+			);
+		} catch (err) {
+			// Give up the write lock claim, but keep the upgradable read lock
+			if (writeLockClaimed) {
+				client.runScript('writeLockRelease', this.prefix + ':write:' + key, rwlock.token,
+					this.releaseNotifier.getChannel(key));
+			}
+			if (err.code === XError.RESOURCE_LOCKED) {
+				if (!err.data) err.data = {};
+				err.data.key = key;
+				err.data.lockType = 'upgrade';
+				err.data.maxWaitTime = maxWaitTime;
+				err.data.ownToken = rwlock.token;
+				err.data.holder = lastReaders;
+				err.data.ownDebug = this._parseDebugToken(rwlock.token);
+				err.data.holderDebug = this._parseDebugToken(lastReaders);
+			}
+			throw err;
+		} finally {
+			if (releaseEmitter) releaseEmitter.stop();
+		}
+
+		if (outputWarningMessage) {
+			this._emitEvent('eventuallyObtained', 'warn', `Upgrade of read lock on ${key} eventually completed.`, {
+				key,
+				lockType: 'upgrade'
+			});
+		}
+		return fencingToken;
+	}
+
+	/**
+	 * Acquires locks on several keys for `readLockSet()` and `writeLockSet()` .  Keys are grouped
+	 * by shard, and each group is locked atomically by a single script (all or nothing), so a
+	 * whole group costs one round trip per attempt.  With `orderKeys`, shards are locked one at a
+	 * time in shard order; otherwise they are locked in parallel.
+	 * Options that need per-key handling (distributed, quorum, fair, conflict resolution and
+	 * upgradable locks) fall back to locking the keys one at a time.
+	 *
+	 * @method _acquireLocks
+	 * @protected
+	 * @param {String[]} keys - The distinct keys to lock
+	 * @param {Boolean} toWrite - Whether to acquire write locks or read locks
+	 * @param {Object} options - Lock options
+	 * @return {Promise{RWLock[]}} - Resolves with the locks, in the same order as `keys` .  If any
+	 *   group cannot be locked, all acquired locks are released before rejecting.
+	 */
+	async _acquireLocks(keys, toWrite, options) {
+		if (this.isShutDown) throw new LockerShutDownError(keys[0]);
+		if (
+			keys.length < 2 ||
+			options.distributed ||
+			options.quorum ||
+			options.fair ||
+			options.resolveConflicts ||
+			options.upgradable ||
+			options._forceShardKey !== undefined ||
+			// Keys held by the current async context must be reused by readLock() and writeLock()
+			(this.lockContext && this.lockContext.getStore()) ||
+			(!toWrite && this.coalescedReadLocks)
+		) {
+			return await super._acquireLocks(keys, toWrite, options);
+		}
+
+		await this.scriptWaiter.promise;
+
+		let groups = await this._groupKeysByShard(keys, options);
+		let locksByKey = {};
+		let firstError = null;
+		let lockGroup = (groupKeys) => {
+			return this._lockShardGroup(groupKeys, toWrite, options).then((groupLocks) => {
+				for (let lock of groupLocks) locksByKey[lock.key] = lock;
+			}, (err) => {
+				if (!firstError) firstError = err;
+			});
+		};
+		if (options.orderKeys) {
+			// Lock one shard at a time, in shard order, so that lock sets cannot deadlock each other
+			for (let groupKeys of groups) {
+				await lockGroup(groupKeys);
+				if (firstError) break;
+			}
+		} else {
+			await Promise.all(groups.map(lockGroup));
+		}
+		let locks = keys.filter((key) => locksByKey[key]).map((key) => locksByKey[key]);
+		if (firstError) {
+			await pasync.each(locks, (lock) => lock.release());
+			throw firstError;
+		}
+		return locks;
+	}
+
+	/**
+	 * Returns the name of the shard that a shard key lives on.
+	 *
+	 * @method _getShardName
+	 * @protected
+	 * @param {String|Number} shardKey
+	 * @param {Object} [options={}]
+	 * @return {Promise{String}} - Resolves with null if the redis client is not sharded, or the
+	 *   shard is unavailable.
+	 */
+	async _getShardName(shardKey, options = {}) {
+		let clusterClient = this.redizClient.clusterClient;
+		if (!clusterClient) return null;
+		let { downNodeExpiry } = _.defaults({}, options, this.defaults);
+		let node = await new Promise((resolve, reject) => {
+			clusterClient.getShardData(shardKey, { downNodeExpiry }, (err, node) => {
+				if (err) return reject(err);
+				resolve(node);
+			});
+		});
+		return node ? node.name : null;
+	}
+
+	/**
+	 * Splits keys into groups of keys that live on the same shard.  Groups are sorted by shard,
+	 * and keys keep their order within each group.
+	 *
+	 * @method _groupKeysByShard
+	 * @protected
+	 * @param {String[]} keys
+	 * @param {Object} [options={}]
+	 * @return {Promise{String[][]}}
+	 */
+	async _groupKeysByShard(keys, options = {}) {
+		if (!this.redizClient.clusterClient) return [ keys ];
+		let groups = new Map();
+		for (let key of keys) {
+			let shardName = await this._getShardName(key, options);
+			// Keys without an available shard get their own group, which fails by itself
+			let groupId = (shardName !== null) ? shardName : ':' + key;
+			if (!groups.has(groupId)) groups.set(groupId, []);
+			groups.get(groupId).push(key);
+		}
+		return _.sortBy(Array.from(groups.keys())).map((groupId) => groups.get(groupId));
+	}
+
+	/**
+	 * Sorts keys into the canonical order that locks are acquired in: by shard, then by key.
+	 * Callers that always acquire keys in this order cannot deadlock with each other.
+	 *
+	 * @method _orderKeys
+	 * @protected
+	 * @param {String[]} keys
+	 * @param {Object} [options={}]
+	 * @return {Promise{String[]}}
+	 */
+	async _orderKeys(keys, options = {}) {
+		let groups = await this._groupKeysByShard(keys.slice().sort(), options);
+		return _.flatten(groups);
+	}
+
+	/**
+	 * Atomically acquires read or write locks on a group of keys living on the same shard.
+	 *
+	 * @method _lockShardGroup
+	 * @private
+	 * @param {String[]} keys - Keys that all map to the same shard
+	 * @param {Boolean} toWrite - Whether to acquire write locks or read locks
+	 * @param {Object} options - Lock options
+	 * @return {Promise{RWLock[]}}
+	 */
+	async _lockShardGroup(keys, toWrite, options) {
+		let lockType = toWrite ? 'write' : 'read';
+		return await profiler.run(toWrite ? '#writeLockSet' : '#readLockSet', async() => {
+
+			let startTime = Date.now();
+			let lastLockHolder = null;
+			let lastLockKey = null;
+			let numLockHolders = 0;
+			let outputWarningMessage = false;
+
+			let { maxWaitTime, lockTimeout, downNodeExpiry, heartbeatInterval, heartbeatTimeout, warnTime } =
+				_.defaults(options, this.defaults);
+			if (heartbeatInterval === undefined) {
+				heartbeatInterval = lockTimeout ? (Math.floor(lockTimeout * 1000 / 3)) : false;
+			}
+			if (heartbeatTimeout === undefined && heartbeatInterval) {
+				heartbeatTimeout = Math.ceil(heartbeatInterval * 3 / 1000);
+			}
+
+			let conflictPriority = (options.conflictPriority === undefined) ? 50 : options.conflictPriority;
+			let tokens = keys.map(() => this._createToken(options.tokenBase, toWrite ? conflictPriority : 0, options));
+			let fencingTokens = keys.map(() => null);
+			let writeLocksClaimed = false;
+			let client = this.redizClient.shard(keys[0], { downNodeExpiry });
+
+			// Listen for releases of whichever key we are currently blocked on
+			let releaseEmitter = this._listenForRelease(keys[0], keys[0], options);
+			let onBlockedKey = (key) => {
+				if (!releaseEmitter || key === lastLockKey) return;
+				releaseEmitter.stop();
+				releaseEmitter.stop = this.releaseNotifier.listen(key, key, () => releaseEmitter.emit('release'));
+			};
+			let deadlockWait = this.deadlockDetector.startWait(keys[0], tokens, options);
+
+			let args = [];
+			for (let i = 0; i < keys.length; i++) {
+				args.push(this.prefix + ':write:' + keys[i], this.prefix + ':read:' + keys[i]);
+				if (toWrite) {
+					args.push(this.prefix + ':fence:' + keys[i], this.prefix + ':upgrade:' + keys[i]);
+				}
+				args.push(tokens[i]);
+			}
+
+			try {
+				await this._retryUntilTimeOut(
+					async() => {
+						let result = await client.runScript(
+							toWrite ? 'writeLockMulti' : 'readLockMulti',
+							lockTimeout,
+							...args
+						);
+						if (result[0] === 1) {
+							// Every key in the group is locked
+							if (toWrite) {
+								result[1].forEach((fencingToken, idx) => {
+									if (fencingToken) fencingTokens[idx] = fencingToken;
+								});
+							}
+							return true;
+						} else if (result[0] === 2) {
+							// All write locks claimed, but read locks still exist on at least one key
+							result[3].forEach((fencingToken, idx) => {
+								if (fencingToken) fencingTokens[idx] = fencingToken;
+							});
+							if (deadlockWait) await deadlockWait.check(result[2], keys[result[1] - 1]);
+							let retVal = writeLocksClaimed ? false : 'reset';
+							writeLocksClaimed = true;
+							onBlockedKey(keys[result[1] - 1]);
+							lastLockKey = keys[result[1] - 1];
+							lastLockHolder = result[2];
+							return retVal;
+						}
+						// One of the keys is write locked by someone else; the script gave up our claims
+						writeLocksClaimed = false;
+						let blockedKey = keys[result[1] - 1];
+						onBlockedKey(blockedKey);
+						if (deadlockWait) await deadlockWait.check(result[2], blockedKey);
+						if (lastLockHolder !== null && (blockedKey !== lastLockKey || result[2] !== lastLockHolder)) {
+							// Every time the blocking lock changes hands, reset the wait timer.
+							lastLockKey = blockedKey;
+							lastLockHolder = result[2];
+							numLockHolders++;
+							return 'reset';
+						}
+						lastLockKey = blockedKey;
+						lastLockHolder = result[2];
+						return false;
+					},
+					maxWaitTime,
+					keys[0],
+					warnTime,
+					(key, time) => {
+						outputWarningMessage = true;
+						let message = `Taking a long time to acquire ${lockType} lock set on ${lastLockKey}`;
+						this._emitEvent('slowAcquire', 'warn', message, {
+							key: lastLockKey,
+							keys,
+							lockType,
+							maxWaitTime,
+							ownTokenBase: options.tokenBase || this.tokenBase,
+							holder: lastLockHolder,
+							numHolders: numLockHolders,
+							currentWaitTime: time,
+							holderDebug: this._parseDebugToken(lastLockHolder)
+						});
+					},
+					releaseEmitter
+				);
+			} catch (err) {
+				// Make sure any claimed locks are cleaned up on error
+				if (writeLocksClaimed) {
+					keys.forEach((key, idx) => {
+						client.runScript('writeLockRelease', this.prefix + ':write:' + key, tokens[idx],
+							this.releaseNotifier.getChannel(key));
+					});
+				}
+				if (err.code === XError.RESOURCE_LOCKED) {
+					this._recordLockTimedOut(lockType, startTime);
+					if (!err.data) err.data = {};
+					err.data.key = lastLockKey || keys[0];
+					err.data.keys = keys;
+					err.data.lockType = lockType;
+					err.data.maxWaitTime = maxWaitTime;
+					err.data.ownTokenBase = options.tokenBase || this.tokenBase;
+					err.data.holder = lastLockHolder;
+					err.data.numHolders = numLockHolders;
+					err.data.holderDebug = this._parseDebugToken(lastLockHolder);
+				}
+				throw err;
+			} finally {
+				if (releaseEmitter) releaseEmitter.stop();
+				if (deadlockWait) deadlockWait.stop();
+			}
+
+			if (outputWarningMessage) {
+				let message = `${toWrite ? 'Write' : 'Read'} lock set on ${keys.join(', ')} eventually obtained.`;
+				this._emitEvent('eventuallyObtained', 'warn', message, { key: keys[0], keys, lockType });
+			}
+			let rwlocks = keys.map((key, idx) => {
+				let rwlock = new RWLock(
+					this,
+					key,
+					tokens[idx],
+					null,
+					toWrite,
+					heartbeatInterval,
+					heartbeatTimeout,
+					fencingTokens[idx]
+				);
+				this.deadlockDetector.trackLock(rwlock, options);
+				return rwlock;
+			});
+			if (this.isShutDown) await this._rejectAcquiredAfterShutDown(rwlocks);
+			for (let rwlock of rwlocks) this._recordLockAcquired(rwlock, lockType, startTime);
+			return rwlocks;
+		});
+	}
+
 	/**
 	 * Like writeLock(), but performs a distributed write lock by locking the key on all shards.
 	 *
@@ -552,6 +1686,11 @@ class Locker extends LockerBase {
 				if (flagSetNow) {
 					// A distributed read lock has started since starting this write lock
 					// Release the write lock and get a distributed one
+					let message = `Write lock on ${key} falling back to distributed lock`;
+					this._emitEvent('distributedFallback', null, message, {
+						key,
+						lockType: 'write'
+					});
 					await lock.forceRelease();
 				} else {
 					return lock;
@@ -561,6 +1700,9 @@ class Locker extends LockerBase {
 
 		let numShards = this.redizClient.getNumShards();
 		let locks = [];
+		let fencingToken;
+		let startTime = Date.now();
+		let span = this._startAcquireSpan('rediz-lock.writeLockDistributed', key, 'write', options);
 		try {
 			for (let shard = 0; shard < numShards; shard++) {
 				let opts = objtools.deepCopy(options);
@@ -569,18 +1711,370 @@ class Locker extends LockerBase {
 				let lock = await this.writeLock(key, opts);
 				locks.push(lock);
 			}
+			// Each shard keeps its own counter, so issue the fencing token from the key's own shard.
+			// This is safe because no other writer can hold the key on that shard at this point.
+			// Like all fencing counters, the key never expires.
+			fencingToken = await this.redizClient.shard(key).incr(this.prefix + ':fence:' + key);
 		} catch (ex) {
+			if (ex.code === XError.RESOURCE_LOCKED) this._recordLockTimedOut('write', startTime);
+			this._endAcquireSpan(span, {
+				'lock.shards': numShards,
+				'lock.lockedShards': locks.length,
+				'lock.holders': this._traceTokens(ex.data && ex.data.holder)
+			}, ex);
 			for (let lock of locks) {
 				try {
 					await lock.forceRelease();
 				} catch (ex2) {
-					console.warn('Got additional error unlocking remaining locks');
-					console.warn(ex2);
+					this.logger.warn('Got additional error unlocking remaining locks', ex2);
 				}
 			}
 			throw ex;
 		}
-		return new DistributedWriteLock(locks);
+		let distributedLock = new DistributedWriteLock(locks, fencingToken);
+		if (this.isShutDown) await this._rejectAcquiredAfterShutDown([ distributedLock ]);
+		this._recordLockAcquired(distributedLock, 'write', startTime);
+		this._endAcquireSpan(span, { 'lock.shards': numShards, 'lock.lockedShards': locks.length });
+		return distributedLock;
+	}
+
+	/**
+	 * Acquires a read or write lock on a majority of shards, Redlock style.  Each attempt tries
+	 * to lock the key on every shard at once without waiting.  The attempt succeeds if a majority
+	 * of shards were locked and enough of the lock timeout remains after subtracting the time
+	 * spent acquiring and the allowed clock drift.  Otherwise, all acquired locks are released
+	 * and the attempt is retried after a randomized delay until `maxWaitTime` runs out.
+	 *
+	 * @method _lockQuorum
+	 * @private
+	 * @param {String} key
+	 * @param {Boolean} isWriteLock
+	 * @param {Object} options - Same options as `readLock()` / `writeLock()`
+	 * @return {Promise{QuorumLock}}
+	 */
+	async _lockQuorum(key, isWriteLock, options) {
+		if (options.distributed) {
+			throw new XError(XError.INVALID_ARGUMENT, 'Quorum locks cannot also be distributed');
+		}
+		this._captureStack(options);
+		await this.scriptWaiter.promise;
+
+		let { maxWaitTime, lockTimeout, quorumClockDriftFactor } = _.defaults({}, options, this.defaults);
+		let numShards = this.redizClient.getNumShards();
+		let quorum = Math.floor(numShards / 2) + 1;
+		let waitStart = Date.now();
+
+		for (;;) {
+			let attemptStart = Date.now();
+			let errors = [];
+			let results = await Promise.all(_.range(numShards).map((shard) => {
+				let opts = objtools.deepCopy(options);
+				opts._forceShardKey = shard;
+				opts.maxWaitTime = 0;
+				delete opts.quorum;
+				let promise = isWriteLock ? this.writeLock(key, opts) : this.readLock(key, opts);
+				return promise.catch((err) => {
+					errors.push(err);
+					return null;
+				});
+			}));
+			let locks = results.filter((lock) => !!lock);
+
+			let validUntil = Infinity;
+			if (lockTimeout) {
+				// Time remaining on the lock after acquisition time and clock drift
+				let drift = Math.floor(lockTimeout * 1000 * quorumClockDriftFactor) + 2;
+				validUntil = attemptStart + lockTimeout * 1000 - drift;
+			}
+			if (locks.length >= quorum && validUntil > Date.now()) {
+				let quorumLock = new QuorumLock(locks, quorum, validUntil);
+				if (this.isShutDown) await this._rejectAcquiredAfterShutDown([ quorumLock ]);
+				this._recordLockAcquired(quorumLock, isWriteLock ? 'write' : 'read', waitStart);
+				return quorumLock;
+			}
+
+			for (let lock of locks) {
+				try {
+					await lock.forceRelease();
+				} catch (ex) {
+					this.logger.warn('Got additional error unlocking remaining quorum locks', ex);
+				}
+			}
+			let unexpectedErrors = errors.filter((err) => err.code !== XError.RESOURCE_LOCKED);
+			if (numShards - unexpectedErrors.length < quorum) {
+				// Too many shards are failing with real errors to ever reach a quorum
+				throw unexpectedErrors[0];
+			}
+			if (!maxWaitTime || Date.now() - waitStart >= maxWaitTime * 1000) {
+				this._recordLockTimedOut(isWriteLock ? 'write' : 'read', waitStart);
+			}
+			if (!maxWaitTime) {
+				throw new ResourceLockedError(key, 'Could not acquire a quorum lock on: ' + key);
+			}
+			if (Date.now() - waitStart >= maxWaitTime * 1000) {
+				throw new ResourceLockedError(key, 'Timed out trying to get a quorum lock for: ' + key);
+			}
+			// Randomized delay so competing processes do not keep splitting the shards between them
+			await pasync.setTimeout(50 + Math.floor(Math.random() * 200));
+		}
+	}
+
+	/**
+	 * Returns information about the locks currently held on a key.  Every shard is checked, so
+	 * distributed and quorum locks are included.
+	 *
+	 * @method getLockInfo
+	 * @param {String} key
+	 * @return {Promise{Object}} - Resolves with an object containing:
+	 *   - `key` - The lock key
+	 *   - `writeHolder` - The holder of the write lock, or null
+	 *   - `writeTtl` - Seconds until the write lock expires, or null if it does not expire
+	 *   - `readHolders` - Array of read lock holders
+	 *   - `readTtl` - Seconds until the read locks expire, or null if they do not expire
+	 *   - `upgradableHolder` - The holder of the upgradable read lock, or null
+	 *   - `upgradableTtl` - Seconds until the upgradable read lock expires, or null
+	 *   - `distributed` - Whether the distributed lock flag is set for the key
+	 *   Each holder is an object containing the `token` and the `debug` information parsed from it.
+	 */
+	async getLockInfo(key) {
+		await this.scriptWaiter.promise;
+		let info = {
+			key,
+			writeHolder: null,
+			writeTtl: null,
+			readHolders: [],
+			readTtl: null,
+			upgradableHolder: null,
+			upgradableTtl: null,
+			distributed: false
+		};
+		let makeHolder = (token) => ({ token, debug: this._parseDebugToken(token) });
+		// Negative TTLs mean the key does not exist or does not expire
+		let maxTtl = (ttl, shardTtl) => (shardTtl < 0) ? ttl : Math.max(ttl || 0, shardTtl);
+		let readTokens = new Set();
+		for (let shard = 0; shard < this.redizClient.getNumShards(); shard++) {
+			let client = this.redizClient.shard(shard);
+			let [ writeToken, writeTtl, readers, readTtl, upgradeToken, upgradeTtl, flagExists ] = await Promise.all([
+				client.get(this.prefix + ':write:' + key),
+				client.ttl(this.prefix + ':write:' + key),
+				client.smembers(this.prefix + ':read:' + key),
+				client.ttl(this.prefix + ':read:' + key),
+				client.get(this.prefix + ':upgrade:' + key),
+				client.ttl(this.prefix + ':upgrade:' + key),
+				client.exists(this.prefix + ':dflag:' + key)
+			]);
+			if (writeToken) {
+				if (!info.writeHolder) info.writeHolder = makeHolder(writeToken);
+				info.writeTtl = maxTtl(info.writeTtl, writeTtl);
+			}
+			for (let token of readers) {
+				if (readTokens.has(token)) continue;
+				readTokens.add(token);
+				info.readHolders.push(makeHolder(token));
+			}
+			if (readers.length) info.readTtl = maxTtl(info.readTtl, readTtl);
+			if (upgradeToken) {
+				if (!info.upgradableHolder) info.upgradableHolder = makeHolder(upgradeToken);
+				info.upgradableTtl = maxTtl(info.upgradableTtl, upgradeTtl);
+			}
+			if (flagExists) info.distributed = true;
+		}
+		return info;
+	}
+
+	/**
+	 * Lists the keys that currently have locks held on them, or have the distributed lock flag
+	 * set, by scanning every shard.  Use `getLockInfo()` for details about a key.
+	 *
+	 * @method listLocks
+	 * @param {Object} [options={}]
+	 *   @param {String} [options.pattern='*'] - Only list lock keys matching this redis glob pattern
+	 * @return {Promise{Object[]}} - Resolves with an array, sorted by key, of objects containing
+	 *   `key` and the booleans `writeLocked`, `readLocked`, `upgradableLocked` and `distributed` .
+	 */
+	async listLocks(options = {}) {
+		let { pattern = '*' } = options;
+		await this.scriptWaiter.promise;
+		let fieldsByType = {
+			write: 'writeLocked',
+			read: 'readLocked',
+			upgrade: 'upgradableLocked',
+			dflag: 'distributed'
+		};
+		// The prefix must not be interpreted as part of the glob pattern
+		let escapedPrefix = this.prefix.replace(/[*?[\]\\]/g, '\\$&');
+		let entries = {};
+		for (let shard = 0; shard < this.redizClient.getNumShards(); shard++) {
+			let client = this.redizClient.shard(shard);
+			for (let type in fieldsByType) {
+				let keyPrefix = this.prefix + ':' + type + ':';
+				let cursor = '0';
+				do {
+					let [ nextCursor, redisKeys ] = await client.scan(
+						cursor,
+						'MATCH',
+						escapedPrefix + ':' + type + ':' + pattern,
+						'COUNT',
+						100
+					);
+					cursor = nextCursor;
+					for (let redisKey of redisKeys) {
+						let key = redisKey.slice(keyPrefix.length);
+						if (!entries[key]) {
+							entries[key] = {
+								key,
+								writeLocked: false,
+								readLocked: false,
+								upgradableLocked: false,
+								distributed: false
+							};
+						}
+						entries[key][fieldsByType[type]] = true;
+					}
+				} while (cursor !== '0');
+			}
+		}
+		return _.sortBy(_.values(entries), 'key');
+	}
+
+	/**
+	 * Forcibly removes holders of a lock, for example to clear a lock held by a hung process.  The
+	 * lock is removed on every shard, so distributed and quorum locks are broken entirely.  Removed
+	 * holders that are still heartbeating notice on their next heartbeat, and emit `lost` with a
+	 * `LockLostError` that has `broken: true` in its data.
+	 *
+	 * @method breakLock
+	 * @param {String} key
+	 * @param {Object} [options={}]
+	 *   @param {String} [options.type] - Either 'read' or 'write' to only break that type of lock.
+	 *     By default, both are broken.
+	 *   @param {String} [options.token] - Only remove the holder with this token.  By default, all
+	 *     holders are removed.
+	 *   @param {Number} [options.lockTimeout] - The lock timeout used by the holders, which may
+	 *     differ from this locker's when breaking the locks of another application.  Holders are
+	 *     marked as broken for long enough to see the marker on their next heartbeat.  Defaults to
+	 *     this locker's `lockTimeout` .
+	 * @return {Promise{Object[]}} - Resolves with an array of `{ type, token }` for the removed
+	 *   holders.
+	 */
+	async breakLock(key, options = {}) {
+		let { type, token, lockTimeout } = _.defaults({}, options, this.defaults);
+		if (type !== undefined && type !== 'read' && type !== 'write') {
+			throw new XError(XError.INVALID_ARGUMENT, 'Lock type must be read or write');
+		}
+		await this.scriptWaiter.promise;
+		let writeKey = this.prefix + ':write:' + key;
+		let readKey = this.prefix + ':read:' + key;
+		let upgradeKey = this.prefix + ':upgrade:' + key;
+		let channel = this.releaseNotifier.getChannel(key);
+		// The marker must outlive the heartbeat interval of the broken lock
+		let markerExpiry = Math.max(Math.ceil(lockTimeout) || 0, 60);
+		let broken = [];
+		let seen = new Set();
+
+		for (let shard = 0; shard < this.redizClient.getNumShards(); shard++) {
+			let client = this.redizClient.shard(shard);
+			let removeHolder = async(lockType, holder, script, ...keys) => {
+				await client.set(this.prefix + ':broken:' + holder, '1', 'EX', markerExpiry);
+				let result = await client.runScript(script, ...keys, holder, channel);
+				if (result[0] !== 1 || seen.has(lockType + ' ' + holder)) return;
+				seen.add(lockType + ' ' + holder);
+				broken.push({ type: lockType, token: holder });
+			};
+			if (type !== 'read') {
+				let holder = await client.get(writeKey);
+				if (holder && (token === undefined || holder === token)) {
+					await removeHolder('write', holder, 'writeLockRelease', writeKey);
+				}
+			}
+			if (type !== 'write') {
+				let upgradeHolder = await client.get(upgradeKey);
+				let holders = await client.smembers(readKey);
+				if (token !== undefined) holders = holders.filter((holder) => holder === token);
+				for (let holder of holders) {
+					if (holder === upgradeHolder) {
+						await removeHolder('read', holder, 'upgradableLockRelease', readKey, upgradeKey);
+					} else {
+						await removeHolder('read', holder, 'readLockRelease', readKey);
+					}
+				}
+			}
+		}
+		return broken;
+	}
+
+	/**
+	 * Shuts down the locker.  New lock requests are rejected with a `LockerShutDownError`, and so
+	 * are requests still waiting for a lock, or whose lock is acquired after shutting down.  All
+	 * locks acquired through this locker that have not been released are released, which also
+	 * stops their heartbeats and distributed lock flag timers.  Lock objects released this way
+	 * should not be used afterwards.  The subscriber connections used for release notifications
+	 * are then closed.
+	 *
+	 * @method shutdown
+	 * @param {Object} [options={}]
+	 *   @param {Number} [options.timeout=10] - Maximum time, in seconds, to wait for the locks to
+	 *     be released in redis.  Locks not released by then expire after their lock timeout.
+	 * @return {Promise} - Resolves once all locks are released and the subscriber connections
+	 *   closed, or the timeout has passed.
+	 */
+	async shutdown(options = {}) {
+		let timeout = (options.timeout === undefined) ? 10 : options.timeout;
+		this.isShutDown = true;
+		this._removeSignalHandlers();
+		for (let wake of Array.from(this.sleepingWaiters)) wake();
+		let releaseAll = async() => {
+			// Acquisitions that were already in progress can still add locks while releasing
+			while (this.liveLocks.size) {
+				let locks = Array.from(this.liveLocks);
+				this.liveLocks.clear();
+				await Promise.all(locks.map((lock) => lock.forceRelease().catch((err) => {
+					this.logger.warn('Error releasing lock on ' + lock.key + ' during shutdown', err);
+				})));
+			}
+		};
+		let timer;
+		let timedOut = await Promise.race([
+			releaseAll().then(() => this.releaseNotifier.close()).then(() => false),
+			new Promise((resolve) => {
+				timer = setTimeout(() => resolve(true), timeout * 1000);
+			})
+		]);
+		clearTimeout(timer);
+		if (timedOut) this.logger.warn('Timed out releasing locks during shutdown');
+	}
+
+	/**
+	 * Installs handlers that shut down the locker when the process receives one of the given
+	 * signals.  After shutting down, the handlers are removed and, if the process has no other
+	 * handlers for the signal, the signal is raised again so the process exits as it otherwise
+	 * would have.
+	 *
+	 * @method installSignalHandlers
+	 * @param {Object} [options={}]
+	 *   @param {String[]} [options.signals=[ 'SIGTERM', 'SIGINT' ]] - Signals to handle
+	 *   @param {Number} [options.timeout] - Passed to `shutdown()`
+	 */
+	installSignalHandlers(options = {}) {
+		this._removeSignalHandlers();
+		this.signalHandlers = new Map();
+		for (let signal of options.signals || [ 'SIGTERM', 'SIGINT' ]) {
+			let handler = () => {
+				this.shutdown({ timeout: options.timeout }).then(() => {
+					if (!process.listenerCount(signal)) process.kill(process.pid, signal);
+				});
+			};
+			this.signalHandlers.set(signal, handler);
+			process.on(signal, handler);
+		}
+	}
+
+	_removeSignalHandlers() {
+		if (!this.signalHandlers) return;
+		for (let [ signal, handler ] of this.signalHandlers) {
+			process.removeListener(signal, handler);
+		}
+		this.signalHandlers = null;
 	}
 
 	/**
@@ -598,13 +2092,16 @@ class Locker extends LockerBase {
 	 *   number of seconds.  It will only be called once.
 	 * @param {Function} warn - A function to display a warning that we're waiting a long time on a lock.  This
 	 *   function has the signature function(key, totalWaitTime)
-	 * @return {Promise}
+	 * @param {EventEmitter} [releaseEmitter] - If given, a `release` event on this emitter cuts the current
+	 *   wait short and retries immediately.  Polling continues as a fallback.
+	 * @return {Promise} - Rejects with a `LockerShutDownError` once the locker is shut down.
 	 */
-	_retryUntilTimeOut(func, timeout, key, warnTime, warn) {
+	_retryUntilTimeOut(func, timeout, key, warnTime, warn, releaseEmitter) {
 		let totalWaitTime = 0;
 		let initialWaitTime = 5;
 		let calledWarn = false;
 		let retry = (waitTime) => {
+			if (this.isShutDown) return Promise.reject(new LockerShutDownError(key));
 			let timeoutPromise = (resetWaitTime) => {
 				if (!timeout) {
 					return Promise.reject(new ResourceLockedError(key));
@@ -621,12 +2118,27 @@ class Locker extends LockerBase {
 					}
 				}
 				return new Promise( (resolve) => {
-					setTimeout( () => {
-						let newWaitTime = waitTime * 3 + Math.floor(Math.random() * 3);
-						if (newWaitTime > 1000) newWaitTime = 1000;
-						if (resetWaitTime) newWaitTime = resetWaitTime;
+					let sleepStart = Date.now();
+					let newWaitTime = waitTime * 3 + Math.floor(Math.random() * 3);
+					if (newWaitTime > 1000) newWaitTime = 1000;
+					if (resetWaitTime) newWaitTime = resetWaitTime;
+					let timer;
+					let onRelease = () => {
+						clearTimeout(timer);
+						if (releaseEmitter) releaseEmitter.removeListener('release', onRelease);
+						this.sleepingWaiters.delete(onRelease);
+						// Only count the time actually spent waiting
+						totalWaitTime -= Math.max(waitTime - (Date.now() - sleepStart), 0);
+						resolve(newWaitTime);
+					};
+					timer = setTimeout( () => {
+						if (releaseEmitter) releaseEmitter.removeListener('release', onRelease);
+						this.sleepingWaiters.delete(onRelease);
 						return resolve(newWaitTime);
 					}, waitTime);
+					if (releaseEmitter) releaseEmitter.once('release', onRelease);
+					// Shutting down wakes the waiter so it fails right away
+					this.sleepingWaiters.add(onRelease);
 				})
 					.then( (time) => {
 						return retry(time);
@@ -0,0 +1,203 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const EventEmitter = require('events').EventEmitter;
+const _ = require('lodash');
+const XError = require('xerror');
+const MemoryStore = require('./memory-store');
+const memoryScripts = require('./memory-scripts');
+const RedisBackend = require('./redis-backend');
+
+// Redis commands available on memory clients.  These are implemented by `MemoryStore` .
+const COMMANDS = [
+	'get', 'set', 'del', 'exists', 'incr', 'expire', 'pexpire', 'pexpireat', 'persist', 'ttl', 'pttl',
+	'sadd', 'srem', 'smembers', 'scard', 'sismember',
+	'zadd', 'zrem', 'zscore', 'zcard', 'zrange', 'zrangebyscore', 'zremrangebyscore',
+	'time', 'scan', 'keys', 'flushdb', 'publish'
+];
+
+/**
+ * A pub/sub subscriber connection to a `MemoryStore` , with the subset of the node redis client
+ * interface used by `ReleaseNotifier` .
+ *
+ * @class MemorySubscriber
+ * @constructor
+ * @param {MemoryStore} store
+ */
+class MemorySubscriber extends EventEmitter {
+
+	constructor(store) {
+		super();
+		this.store = store;
+		this.channels = new Set();
+		this._onMessage = (channel, message) => this.emit('message', channel, message);
+		setImmediate(() => this.emit('ready'));
+	}
+
+	subscribe(channel) {
+		this.channels.add(channel);
+		this.store.subscribe(channel, this._onMessage);
+	}
+
+	unsubscribe(channel) {
+		this.channels.delete(channel);
+		this.store.unsubscribe(channel, this._onMessage);
+	}
+
+	unref() {
+		// There is no connection keeping the process alive
+	}
+
+	quit() {
+		for (let channel of Array.from(this.channels)) {
+			this.unsubscribe(channel);
+		}
+		setImmediate(() => this.emit('end'));
+	}
+
+}
+
+/**
+ * A client for a single shard of a `MemoryRedizClient` .  Has the same interface as a rediz shard
+ * client, for the redis commands the locker uses.
+ *
+ * @class MemoryShardClient
+ * @constructor
+ * @param {MemoryStore} store - The data of the shard
+ * @param {Object} registeredScripts - Map from script name to script, shared by all shards
+ */
+class MemoryShardClient {
+
+	constructor(store, registeredScripts) {
+		this.store = store;
+		this.registeredScripts = registeredScripts;
+		// The underlying client, which `ReleaseNotifier` duplicates to subscribe to release channels
+		this.redisClient = this;
+	}
+
+	/**
+	 * Runs a registered script.
+	 *
+	 * @method runScript
+	 * @param {String} name - Name of the script
+	 * @param {Mixed[]} ...args - Keys and params of the script
+	 * @return {Promise} - Resolves with the reply of the script
+	 */
+	runScript(name, ...args) {
+		let script = this.registeredScripts[name];
+		if (!script) throw new XError(XError.INTERNAL_ERROR, 'No such redis script: ' + name);
+		// Like redis, scripts only get strings
+		args = args.map((arg) => String(arg));
+		let numKeyArgs = script.numKeyArgs;
+		return Promise.resolve()
+			.then(() => script.func(this.store, args.slice(0, numKeyArgs), args.slice(numKeyArgs)));
+	}
+
+	/**
+	 * Opens a new connection to the same shard, for subscribing to channels.
+	 *
+	 * @method duplicate
+	 * @return {MemorySubscriber}
+	 */
+	duplicate() {
+		return new MemorySubscriber(this.store);
+	}
+
+}
+
+for (let command of COMMANDS) {
+	MemoryShardClient.prototype[command] = function(...args) {
+		return Promise.resolve().then(() => this.store[command](...args));
+	};
+}
+
+/**
+ * An in-memory stand-in for a `RedizClient` , so that a `Locker` can be used without redis, in
+ * tests or in a single process.  Locks behave the same as with redis, including expiry: the Lua
+ * scripts of the locker are run by equivalent JavaScript functions in `memory-scripts.js` .
+ *
+ * Like a rediz client, this client is itself the client for the first shard.  With more than one
+ * shard, it can be used to test distributed and quorum locks.
+ *
+ * @class MemoryRedizClient
+ * @extends MemoryShardClient
+ * @constructor
+ * @param {Object} [options={}]
+ *   @param {Number} [options.numShards=1] - Number of shards to simulate
+ */
+class MemoryRedizClient extends MemoryShardClient {
+
+	constructor(options = {}) {
+		let stores = _.times(options.numShards || 1, () => new MemoryStore());
+		super(stores[0], {});
+		this.shardClients = stores.map((store, idx) => {
+			return (idx === 0) ? this : new MemoryShardClient(store, this.registeredScripts);
+		});
+		if (stores.length > 1) {
+			// The locker groups keys by shard through the cluster client of rediz clients
+			this.clusterClient = {
+				getShardData: (shardKey, shardOptions, cb) => {
+					let name = 'shard' + this._getShardIndex(shardKey);
+					setImmediate(() => cb(null, { name }));
+				}
+			};
+		}
+	}
+
+	_getShardIndex(shardKey) {
+		if (typeof shardKey === 'number') return Math.abs(Math.floor(shardKey)) % this.shardClients.length;
+		let hash = 0;
+		for (let c of String(shardKey)) {
+			hash = (hash * 31 + c.charCodeAt(0)) | 0;
+		}
+		return Math.abs(hash) % this.shardClients.length;
+	}
+
+	/**
+	 * Returns the client for the shard of a key.
+	 *
+	 * @method shard
+	 * @param {String|Number} shardKey - The key to shard on.  Numbers select the shard with that
+	 *   index.
+	 * @return {MemoryShardClient}
+	 */
+	shard(shardKey) {
+		return this.shardClients[this._getShardIndex(shardKey)];
+	}
+
+	getNumShards() {
+		return this.shardClients.length;
+	}
+
+	/**
+	 * Registers the scripts in a directory of Lua scripts.  Each script is run by the function of
+	 * the same name in `memory-scripts.js` .
+	 *
+	 * @method registerScriptDir
+	 * @param {String} dirname
+	 * @return {Promise} - Rejects if a script has no in-memory implementation
+	 */
+	async registerScriptDir(dirname) {
+		let scripts = await RedisBackend.loadScriptDir(dirname);
+		for (let name in scripts) {
+			if (!memoryScripts[name]) {
+				throw new XError(XError.UNSUPPORTED_OPERATION, 'No in-memory implementation of redis script: ' + name);
+			}
+			this.registeredScripts[name] = _.assign(scripts[name], { func: memoryScripts[name] });
+		}
+	}
+
+	async flushAllShards() {
+		for (let shardClient of this.shardClients) {
+			shardClient.store.flushdb();
+		}
+	}
+
+	disconnect() {
+		// Nothing to disconnect from
+	}
+
+}
+
+module.exports = MemoryRedizClient;
@@ -0,0 +1,349 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const MemoryStore = require('./memory-store');
+
+// Ports of the Lua scripts in resources/lua , run against a `MemoryStore` .  Each script is a
+// function called with the store, the script's keys and its params (as strings), and returns the
+// same reply as the Lua script.  See the Lua scripts for documentation of each script.
+
+// Like `redis.call("get", a) or redis.call("get", b)` in Lua
+function getFirst(store, ...keys) {
+	for (let key of keys) {
+		let value = store.get(key);
+		if (value !== null) return value;
+	}
+	return null;
+}
+
+// Builds a script reply.  Like a Lua table, the reply ends at the first nil value.
+function reply(...values) {
+	let end = values.findIndex((value) => value === null || value === undefined);
+	return (end === -1) ? values : values.slice(0, end);
+}
+
+function setWithExpiry(store, key, value, expiry) {
+	if (expiry !== '0') {
+		store.set(key, value, 'EX', expiry);
+	} else {
+		store.set(key, value);
+	}
+}
+
+// Expires a semaphore together with its longest-lived holder
+function expireWithLastHolder(store, key) {
+	let last = store.zrange(key, -1, -1, 'WITHSCORES');
+	if (last[1] === 'inf') {
+		store.persist(key);
+	} else {
+		store.pexpireat(key, last[1]);
+	}
+}
+
+function publish(store, channel, message) {
+	if (channel !== undefined) store.publish(channel, message);
+}
+
+module.exports = {
+
+	deadlockCheck(store, KEYS, ARGV) {
+		let [ prefix, expiry, owner, waitId, waitKey ] = ARGV;
+		let numHolders = parseInt(ARGV[5], 10);
+
+		// Record the edges from this wait to the holders it is blocked on
+		let waitHoldersKey = prefix + ':dlwait:' + waitId;
+		store.del(waitHoldersKey);
+		for (let holder of ARGV.slice(6, 6 + numHolders)) {
+			store.sadd(waitHoldersKey, holder);
+		}
+		store.expire(waitHoldersKey, expiry);
+		store.set(prefix + ':dlwkey:' + waitId, waitKey, 'EX', expiry);
+		store.sadd(prefix + ':dlwaits:' + owner, waitId);
+		store.expire(prefix + ':dlwaits:' + owner, expiry);
+		for (let ownToken of ARGV.slice(6 + numHolders)) {
+			store.set(prefix + ':dlowner:' + ownToken, owner, 'EX', expiry);
+		}
+
+		// Breadth-first search through the owners that this owner is (transitively) waiting on
+		let visited = new Set([ owner ]);
+		let parentOwner = new Map();
+		let parentKey = new Map();
+		let queue = [ owner ];
+		for (let head = 0; head < queue.length; head++) {
+			let current = queue[head];
+			for (let curWaitId of store.smembers(prefix + ':dlwaits:' + current)) {
+				let curKey = store.get(prefix + ':dlwkey:' + curWaitId);
+				if (curKey === null) {
+					// The wait finished or expired
+					store.srem(prefix + ':dlwaits:' + current, curWaitId);
+					continue;
+				}
+				for (let holder of store.smembers(prefix + ':dlwait:' + curWaitId)) {
+					let holderOwner = store.get(prefix + ':dlowner:' + holder);
+					if (holderOwner === owner) {
+						// Walk back to this owner to build the cycle
+						let cycle = [ current, curKey ];
+						for (let o = current; o !== owner; o = parentOwner.get(o)) {
+							cycle.unshift(parentOwner.get(o), parentKey.get(o));
+						}
+						return [ 1 ].concat(cycle);
+					} else if (holderOwner !== null && !visited.has(holderOwner)) {
+						visited.add(holderOwner);
+						parentOwner.set(holderOwner, current);
+						parentKey.set(holderOwner, curKey);
+						queue.push(holderOwner);
+					}
+				}
+			}
+		}
+		return [ 0 ];
+	},
+
+	readLock(store, KEYS, ARGV) {
+		let existingWriteLock = store.get(KEYS[0]);
+		if (existingWriteLock !== null) return [ 0, existingWriteLock ];
+		store.sadd(KEYS[1], ARGV[0]);
+		if (ARGV[1] !== '0') store.expire(KEYS[1], ARGV[1]);
+		return [ 1, store.smembers(KEYS[1]) ];
+	},
+
+	readLockHeartbeat(store, KEYS, ARGV) {
+		if (!store.sismember(KEYS[0], ARGV[0])) return [ 3 ];
+		store.expire(KEYS[0], ARGV[1]);
+		return [ 1 ];
+	},
+
+	readLockMulti(store, KEYS, ARGV) {
+		for (let i = 1; i < ARGV.length; i += 3) {
+			let existingWriteLock = store.get(ARGV[i]);
+			if (existingWriteLock !== null) return [ 0, (i + 2) / 3, existingWriteLock ];
+		}
+		for (let i = 1; i < ARGV.length; i += 3) {
+			store.sadd(ARGV[i + 1], ARGV[i + 2]);
+			if (ARGV[0] !== '0') store.expire(ARGV[i + 1], ARGV[0]);
+		}
+		return [ 1 ];
+	},
+
+	readLockRelease(store, KEYS, ARGV) {
+		store.srem(KEYS[0], ARGV[0]);
+		let holders = store.smembers(KEYS[0]);
+		if (!holders.length) publish(store, ARGV[1], 'read');
+		return [ 1, holders ];
+	},
+
+	readLockUpgradable(store, KEYS, ARGV) {
+		let existingLock = getFirst(store, KEYS[0], KEYS[2]);
+		if (existingLock !== null) return [ 0, existingLock ];
+		store.sadd(KEYS[1], ARGV[0]);
+		setWithExpiry(store, KEYS[2], ARGV[0], ARGV[1]);
+		if (ARGV[1] !== '0') store.expire(KEYS[1], ARGV[1]);
+		return [ 1, store.smembers(KEYS[1]) ];
+	},
+
+	semaphoreAcquire(store, KEYS, ARGV) {
+		let now = Date.now();
+		// Free the permits of holders that stopped heartbeating
+		store.zremrangebyscore(KEYS[0], '-inf', now);
+		if (store.zscore(KEYS[0], ARGV[0]) === null && store.zcard(KEYS[0]) >= Number(ARGV[1])) {
+			return [ 0, store.zrange(KEYS[0], 0, -1) ];
+		}
+		store.zadd(KEYS[0], (ARGV[2] !== '0') ? now + Number(ARGV[2]) * 1000 : '+inf', ARGV[0]);
+		expireWithLastHolder(store, KEYS[0]);
+		return [ 1 ];
+	},
+
+	semaphoreCheck(store, KEYS, ARGV) {
+		let holderExpiry = store.zscore(KEYS[0], ARGV[0]);
+		return (holderExpiry !== null && MemoryStore.parseScore(holderExpiry) > Date.now()) ? [ 1 ] : [ 3 ];
+	},
+
+	semaphoreHeartbeat(store, KEYS, ARGV) {
+		let now = Date.now();
+		let holderExpiry = store.zscore(KEYS[0], ARGV[0]);
+		if (holderExpiry === null || MemoryStore.parseScore(holderExpiry) <= now) return [ 3 ];
+		store.zadd(KEYS[0], now + Number(ARGV[1]) * 1000, ARGV[0]);
+		expireWithLastHolder(store, KEYS[0]);
+		return [ 1 ];
+	},
+
+	semaphoreRelease(store, KEYS, ARGV) {
+		if (store.zrem(KEYS[0], ARGV[0]) !== 1) return [ 0 ];
+		publish(store, ARGV[1], 'semaphore');
+		return [ 1 ];
+	},
+
+	upgradableLockHeartbeat(store, KEYS, ARGV) {
+		let upgradeHolder = store.get(KEYS[1]);
+		if (upgradeHolder === null) return [ 3 ];
+		if (upgradeHolder !== ARGV[0]) return [ 0, upgradeHolder ];
+		if (!store.sismember(KEYS[0], ARGV[0])) return [ 3 ];
+		store.expire(KEYS[0], ARGV[1]);
+		store.expire(KEYS[1], ARGV[1]);
+		return [ 1 ];
+	},
+
+	upgradableLockRelease(store, KEYS, ARGV) {
+		store.srem(KEYS[0], ARGV[0]);
+		if (store.get(KEYS[1]) === ARGV[0]) {
+			store.del(KEYS[1]);
+			publish(store, ARGV[1], 'upgradable');
+		}
+		return [ 1, store.smembers(KEYS[0]) ];
+	},
+
+	upgradableLockUpgrade(store, KEYS, ARGV) {
+		let upgradeHolder = store.get(KEYS[2]);
+		if (upgradeHolder === null) return [ 3 ];
+		if (upgradeHolder !== ARGV[0]) return [ 0, upgradeHolder ];
+		let existingWriteLock = store.get(KEYS[0]);
+		if (existingWriteLock !== null && existingWriteLock !== ARGV[0]) return [ 0, existingWriteLock ];
+
+		let fencingToken = null;
+		if (existingWriteLock === null) {
+			store.set(KEYS[0], ARGV[0]);
+			fencingToken = store.incr(KEYS[3]);
+		}
+		if (ARGV[1] !== '0') {
+			store.expire(KEYS[0], ARGV[1]);
+			store.expire(KEYS[2], ARGV[1]);
+		}
+
+		let otherReaders = store.scard(KEYS[1]) - store.sismember(KEYS[1], ARGV[0]);
+		if (otherReaders > 0) return reply(2, store.smembers(KEYS[1]), fencingToken);
+		store.srem(KEYS[1], ARGV[0]);
+		store.del(KEYS[2]);
+		return reply(1, fencingToken);
+	},
+
+	writeLock(store, KEYS, ARGV) {
+		let existingWriteLock = getFirst(store, KEYS[0], KEYS[3]);
+		if (existingWriteLock !== null) return [ 0, existingWriteLock ];
+		setWithExpiry(store, KEYS[0], ARGV[0], ARGV[1]);
+		let fencingToken = store.incr(KEYS[2]);
+		if (store.scard(KEYS[1]) > 0) return [ 2, store.smembers(KEYS[1]), fencingToken ];
+		return [ 1, fencingToken ];
+	},
+
+	writeLockDowngrade(store, KEYS, ARGV) {
+		let existingWriteLock = store.get(KEYS[0]);
+		if (existingWriteLock === null) return [ 3 ];
+		if (existingWriteLock !== ARGV[0]) return [ 0, existingWriteLock ];
+		let ttl = store.pttl(KEYS[0]);
+		store.sadd(KEYS[1], ARGV[0]);
+		if (ttl > 0) store.pexpire(KEYS[1], ttl);
+		store.del(KEYS[0]);
+		publish(store, ARGV[1], 'write');
+		return [ 1 ];
+	},
+
+	writeLockFair(store, KEYS, ARGV) {
+		let now = Date.now();
+		let ticketTimeout = Number(ARGV[2]) * 1000;
+
+		// Drop tickets of waiters that stopped retrying
+		for (let ticket of store.zrangebyscore(KEYS[3], '-inf', now)) {
+			store.zrem(KEYS[2], ticket);
+			store.zrem(KEYS[3], ticket);
+		}
+
+		// Enqueue our ticket if this is the first attempt, and refresh its expiry
+		if (store.zscore(KEYS[2], ARGV[0]) === null) {
+			store.zadd(KEYS[2], store.incr(KEYS[4]), ARGV[0]);
+		}
+		store.zadd(KEYS[3], now + ticketTimeout, ARGV[0]);
+		for (let i = 2; i <= 4; i++) {
+			if (store.pttl(KEYS[i]) < ticketTimeout) store.pexpire(KEYS[i], ticketTimeout);
+		}
+
+		let head = store.zrange(KEYS[2], 0, 0)[0];
+		if (head !== ARGV[0]) return reply(4, head);
+
+		let existingWriteLock = getFirst(store, KEYS[0], KEYS[6]);
+		if (existingWriteLock !== null) return [ 0, existingWriteLock ];
+
+		// Our turn; the lock is claimed, so leave the queue
+		store.zrem(KEYS[2], ARGV[0]);
+		store.zrem(KEYS[3], ARGV[0]);
+		setWithExpiry(store, KEYS[0], ARGV[0], ARGV[1]);
+		let fencingToken = store.incr(KEYS[5]);
+		if (store.scard(KEYS[1]) > 0) return [ 2, store.smembers(KEYS[1]), fencingToken ];
+		return [ 1, fencingToken ];
+	},
+
+	writeLockFairCancel(store, KEYS, ARGV) {
+		store.zrem(KEYS[0], ARGV[0]);
+		store.zrem(KEYS[1], ARGV[0]);
+		return [ 1 ];
+	},
+
+	writeLockHeartbeat(store, KEYS, ARGV) {
+		let existingWriteLock = store.get(KEYS[0]);
+		if (existingWriteLock === null) return [ 3 ];
+		if (existingWriteLock !== ARGV[0]) return [ 0, existingWriteLock ];
+		store.expire(KEYS[0], ARGV[1]);
+		return [ 1 ];
+	},
+
+	writeLockMulti(store, KEYS, ARGV) {
+		const stride = 5;
+		let index = (i) => (i - 1) / stride + 1;
+
+		for (let i = 1; i < ARGV.length; i += stride) {
+			let existingWriteLock = getFirst(store, ARGV[i], ARGV[i + 3]);
+			if (existingWriteLock !== null && existingWriteLock !== ARGV[i + 4]) {
+				for (let j = 1; j < ARGV.length; j += stride) {
+					if (store.get(ARGV[j]) === ARGV[j + 4]) store.del(ARGV[j]);
+				}
+				return [ 0, index(i), existingWriteLock ];
+			}
+		}
+
+		let fencingTokens = [];
+		for (let i = 1; i < ARGV.length; i += stride) {
+			let fencingToken = 0;
+			if (store.get(ARGV[i]) !== ARGV[i + 4]) {
+				store.set(ARGV[i], ARGV[i + 4]);
+				fencingToken = store.incr(ARGV[i + 2]);
+			}
+			if (ARGV[0] !== '0') store.expire(ARGV[i], ARGV[0]);
+			fencingTokens.push(fencingToken);
+		}
+
+		for (let i = 1; i < ARGV.length; i += stride) {
+			if (store.scard(ARGV[i + 1]) > 0) {
+				return [ 2, index(i), store.smembers(ARGV[i + 1]), fencingTokens ];
+			}
+		}
+		return [ 1, fencingTokens ];
+	},
+
+	writeLockRelease(store, KEYS, ARGV) {
+		if (store.get(KEYS[0]) !== ARGV[0]) return [ 0 ];
+		store.del(KEYS[0]);
+		publish(store, ARGV[1], 'write');
+		return [ 1 ];
+	},
+
+	writeLockRetry(store, KEYS, ARGV) {
+		let existingWriteLock = store.get(KEYS[0]);
+		if (existingWriteLock === null) {
+			// The claim expired; an upgradable read lock may have been acquired since
+			let upgradeHolder = store.get(KEYS[3]);
+			if (upgradeHolder !== null) return [ 0, upgradeHolder ];
+		} else if (existingWriteLock !== ARGV[0]) {
+			return [ 0, existingWriteLock ];
+		}
+
+		let fencingToken = null;
+		if (existingWriteLock === null) {
+			store.set(KEYS[0], ARGV[0]);
+			fencingToken = store.incr(KEYS[2]);
+		}
+		if (ARGV[1] !== '0') store.expire(KEYS[0], ARGV[1]);
+		if (store.scard(KEYS[1]) > 0) return reply(2, store.smembers(KEYS[1]), fencingToken);
+		return reply(1, fencingToken);
+	}
+
+};
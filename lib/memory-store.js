@@ -0,0 +1,380 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+const XError = require('xerror');
+
+/**
+ * Converts a redis glob pattern, as used by `SCAN` and `KEYS`, to a regular expression.
+ *
+ * @method globToRegExp
+ * @param {String} pattern
+ * @return {RegExp}
+ */
+function globToRegExp(pattern) {
+	let source = '';
+	for (let i = 0; i < pattern.length; i++) {
+		let c = pattern[i];
+		if (c === '\\' && i + 1 < pattern.length) {
+			source += _.escapeRegExp(pattern[++i]);
+		} else if (c === '*') {
+			source += '.*';
+		} else if (c === '?') {
+			source += '.';
+		} else if (c === '[' && pattern.indexOf(']', i + 2) !== -1) {
+			let end = pattern.indexOf(']', i + 2);
+			let chars = pattern.slice(i + 1, end);
+			let negate = chars[0] === '^';
+			if (negate) chars = chars.slice(1);
+			source += '[' + (negate ? '^' : '') + chars.replace(/[\\\]]/g, '\\$&') + ']';
+			i = end;
+		} else {
+			source += _.escapeRegExp(c);
+		}
+	}
+	return new RegExp('^' + source + '$');
+}
+
+/**
+ * Converts a sorted set score, as given to or returned by redis, to a number.
+ *
+ * @method parseScore
+ * @param {String} score
+ * @return {Number}
+ */
+function parseScore(score) {
+	if (score === '+inf' || score === 'inf') return Infinity;
+	if (score === '-inf') return -Infinity;
+	return Number(score);
+}
+
+function formatScore(score) {
+	if (score === Infinity) return 'inf';
+	if (score === -Infinity) return '-inf';
+	return String(score);
+}
+
+/**
+ * The data of a single in-memory redis node.  Implements the subset of redis commands used by
+ * the locker and its scripts, with the same replies as redis.  Commands run synchronously, so a
+ * function calling several commands runs atomically, like a Lua script.
+ *
+ * Keys with an expiry are removed lazily, when they are next accessed after expiring.
+ *
+ * @class MemoryStore
+ * @constructor
+ */
+class MemoryStore {
+
+	constructor() {
+		// Map from key to `{ type, value, expiresAt }` .  Values are strings, Sets of members (for sets),
+		// or Maps from member to score (for sorted sets).  `expiresAt` is a timestamp, or null.
+		this.entries = new Map();
+		// Map from channel to a Set of functions called with published messages
+		this.subscriptions = new Map();
+	}
+
+	_getEntry(key, type) {
+		let entry = this.entries.get(key);
+		if (!entry) return null;
+		if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+			this.entries.delete(key);
+			return null;
+		}
+		if (type && entry.type !== type) {
+			throw new XError(
+				XError.INTERNAL_ERROR,
+				'WRONGTYPE Operation against a key holding the wrong kind of value'
+			);
+		}
+		return entry;
+	}
+
+	_getOrCreateEntry(key, type, createValue) {
+		let entry = this._getEntry(key, type);
+		if (!entry) {
+			entry = { type, value: createValue(), expiresAt: null };
+			this.entries.set(key, entry);
+		}
+		return entry;
+	}
+
+	_deleteIfEmpty(key, entry) {
+		if (!entry.value.size) this.entries.delete(key);
+	}
+
+	_getSortedSet(key) {
+		let entry = this._getEntry(key, 'zset');
+		if (!entry) return [];
+		return _.sortBy(Array.from(entry.value), [ (pair) => pair[1], (pair) => pair[0] ]);
+	}
+
+	get(key) {
+		let entry = this._getEntry(key, 'string');
+		return entry ? entry.value : null;
+	}
+
+	/**
+	 * Sets a string value.  Supports the `EX` and `PX` options.
+	 *
+	 * @method set
+	 * @param {String} key
+	 * @param {String} value
+	 * @param {String} [...options]
+	 * @return {String} - `OK`
+	 */
+	set(key, value, ...options) {
+		let expiresAt = null;
+		for (let i = 0; i < options.length; i += 2) {
+			let option = String(options[i]).toUpperCase();
+			if (option === 'EX') {
+				expiresAt = Date.now() + Number(options[i + 1]) * 1000;
+			} else if (option === 'PX') {
+				expiresAt = Date.now() + Number(options[i + 1]);
+			} else {
+				throw new XError(XError.UNSUPPORTED_OPERATION, 'Unsupported set option: ' + options[i]);
+			}
+		}
+		this.entries.set(key, { type: 'string', value: String(value), expiresAt });
+		return 'OK';
+	}
+
+	del(...keys) {
+		let numDeleted = 0;
+		for (let key of keys) {
+			if (this._getEntry(key)) {
+				this.entries.delete(key);
+				numDeleted++;
+			}
+		}
+		return numDeleted;
+	}
+
+	exists(...keys) {
+		return keys.filter((key) => this._getEntry(key)).length;
+	}
+
+	incr(key) {
+		let entry = this._getOrCreateEntry(key, 'string', () => '0');
+		let value = parseInt(entry.value, 10) + 1;
+		entry.value = String(value);
+		return value;
+	}
+
+	expire(key, seconds) {
+		return this.pexpire(key, Number(seconds) * 1000);
+	}
+
+	pexpire(key, milliseconds) {
+		return this.pexpireat(key, Date.now() + Number(milliseconds));
+	}
+
+	pexpireat(key, timestamp) {
+		let entry = this._getEntry(key);
+		if (!entry) return 0;
+		if (Number(timestamp) <= Date.now()) {
+			this.entries.delete(key);
+		} else {
+			entry.expiresAt = Number(timestamp);
+		}
+		return 1;
+	}
+
+	persist(key) {
+		let entry = this._getEntry(key);
+		if (!entry || entry.expiresAt === null) return 0;
+		entry.expiresAt = null;
+		return 1;
+	}
+
+	pttl(key) {
+		let entry = this._getEntry(key);
+		if (!entry) return -2;
+		if (entry.expiresAt === null) return -1;
+		return entry.expiresAt - Date.now();
+	}
+
+	ttl(key) {
+		let pttl = this.pttl(key);
+		return (pttl < 0) ? pttl : Math.round(pttl / 1000);
+	}
+
+	sadd(key, ...members) {
+		let entry = this._getOrCreateEntry(key, 'set', () => new Set());
+		let numAdded = 0;
+		for (let member of members) {
+			if (!entry.value.has(String(member))) {
+				entry.value.add(String(member));
+				numAdded++;
+			}
+		}
+		return numAdded;
+	}
+
+	srem(key, ...members) {
+		let entry = this._getEntry(key, 'set');
+		if (!entry) return 0;
+		let numRemoved = members.filter((member) => entry.value.delete(String(member))).length;
+		this._deleteIfEmpty(key, entry);
+		return numRemoved;
+	}
+
+	smembers(key) {
+		let entry = this._getEntry(key, 'set');
+		return entry ? Array.from(entry.value) : [];
+	}
+
+	scard(key) {
+		let entry = this._getEntry(key, 'set');
+		return entry ? entry.value.size : 0;
+	}
+
+	sismember(key, member) {
+		let entry = this._getEntry(key, 'set');
+		return (entry && entry.value.has(String(member))) ? 1 : 0;
+	}
+
+	/**
+	 * Adds members to a sorted set.  Takes pairs of scores and members.
+	 *
+	 * @method zadd
+	 * @param {String} key
+	 * @param {Mixed} ...scoresAndMembers
+	 * @return {Number} - The number of members added
+	 */
+	zadd(key, ...scoresAndMembers) {
+		let entry = this._getOrCreateEntry(key, 'zset', () => new Map());
+		let numAdded = 0;
+		for (let i = 0; i < scoresAndMembers.length; i += 2) {
+			let member = String(scoresAndMembers[i + 1]);
+			if (!entry.value.has(member)) numAdded++;
+			entry.value.set(member, parseScore(String(scoresAndMembers[i])));
+		}
+		return numAdded;
+	}
+
+	zrem(key, ...members) {
+		let entry = this._getEntry(key, 'zset');
+		if (!entry) return 0;
+		let numRemoved = members.filter((member) => entry.value.delete(String(member))).length;
+		this._deleteIfEmpty(key, entry);
+		return numRemoved;
+	}
+
+	zscore(key, member) {
+		let entry = this._getEntry(key, 'zset');
+		if (!entry || !entry.value.has(String(member))) return null;
+		return formatScore(entry.value.get(String(member)));
+	}
+
+	zcard(key) {
+		let entry = this._getEntry(key, 'zset');
+		return entry ? entry.value.size : 0;
+	}
+
+	/**
+	 * Returns a range of members of a sorted set, by index.
+	 *
+	 * @method zrange
+	 * @param {String} key
+	 * @param {Number} start - May be negative to count from the end
+	 * @param {Number} stop - May be negative to count from the end
+	 * @param {String} [withScores] - If `WITHSCORES` , the score follows each member
+	 * @return {String[]}
+	 */
+	zrange(key, start, stop, withScores) {
+		let pairs = this._getSortedSet(key);
+		start = Number(start);
+		stop = Number(stop);
+		if (start < 0) start = Math.max(pairs.length + start, 0);
+		if (stop < 0) stop = pairs.length + stop;
+		pairs = pairs.slice(start, stop + 1);
+		if (withScores && String(withScores).toUpperCase() === 'WITHSCORES') {
+			return _.flatten(pairs.map((pair) => [ pair[0], formatScore(pair[1]) ]));
+		}
+		return pairs.map((pair) => pair[0]);
+	}
+
+	zrangebyscore(key, min, max) {
+		min = parseScore(String(min));
+		max = parseScore(String(max));
+		return this._getSortedSet(key)
+			.filter((pair) => pair[1] >= min && pair[1] <= max)
+			.map((pair) => pair[0]);
+	}
+
+	zremrangebyscore(key, min, max) {
+		return this.zrem(key, ...this.zrangebyscore(key, min, max));
+	}
+
+	time() {
+		let now = Date.now();
+		return [ String(Math.floor(now / 1000)), String((now % 1000) * 1000) ];
+	}
+
+	/**
+	 * Iterates over keys.  Supports the `MATCH` and `COUNT` options.  All matching keys are
+	 * returned at once, so the returned cursor is always `0` .
+	 *
+	 * @method scan
+	 * @param {String} cursor
+	 * @param {String} [...options]
+	 * @return {Array} - The next cursor and the keys
+	 */
+	scan(cursor, ...options) {
+		let pattern = '*';
+		for (let i = 0; i < options.length; i += 2) {
+			if (String(options[i]).toUpperCase() === 'MATCH') pattern = String(options[i + 1]);
+		}
+		return [ '0', this.keys(pattern) ];
+	}
+
+	keys(pattern) {
+		let regExp = globToRegExp(String(pattern));
+		return Array.from(this.entries.keys()).filter((key) => regExp.test(key) && this._getEntry(key));
+	}
+
+	flushdb() {
+		this.entries.clear();
+		return 'OK';
+	}
+
+	publish(channel, message) {
+		let listeners = Array.from(this.subscriptions.get(channel) || []);
+		for (let fn of listeners) {
+			fn(channel, message);
+		}
+		return listeners.length;
+	}
+
+	/**
+	 * Registers a function that is called with the channel and message of each message published
+	 * on a channel.
+	 *
+	 * @method subscribe
+	 * @param {String} channel
+	 * @param {Function} fn
+	 */
+	subscribe(channel, fn) {
+		let listeners = this.subscriptions.get(channel);
+		if (!listeners) {
+			listeners = new Set();
+			this.subscriptions.set(channel, listeners);
+		}
+		listeners.add(fn);
+	}
+
+	unsubscribe(channel, fn) {
+		let listeners = this.subscriptions.get(channel);
+		if (!listeners) return;
+		listeners.delete(fn);
+		if (!listeners.size) this.subscriptions.delete(channel);
+	}
+
+}
+
+MemoryStore.globToRegExp = globToRegExp;
+MemoryStore.parseScore = parseScore;
+
+module.exports = MemoryStore;
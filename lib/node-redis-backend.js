@@ -0,0 +1,83 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const EventEmitter = require('events').EventEmitter;
+const RedisBackend = require('./redis-backend');
+
+/**
+ * A subscriber connection of a node-redis v4 client.  Adapts the listener based pub/sub interface
+ * of node-redis v4 to the event based interface used by `ReleaseNotifier` .
+ *
+ * @class NodeRedisSubscriber
+ * @constructor
+ * @param {RedisClient} client - An unconnected client, from `duplicate()`
+ */
+class NodeRedisSubscriber extends EventEmitter {
+
+	constructor(client) {
+		super();
+		this.client = client;
+		this._onMessage = (message, channel) => this.emit('message', channel, message);
+		for (let event of [ 'ready', 'end', 'error' ]) {
+			client.on(event, (...args) => this.emit(event, ...args));
+		}
+		client.connect().catch((err) => this.emit('error', err));
+	}
+
+	subscribe(channel) {
+		this.client.subscribe(channel, this._onMessage).catch((err) => this.emit('error', err));
+	}
+
+	unsubscribe(channel) {
+		this.client.unsubscribe(channel, this._onMessage).catch((err) => this.emit('error', err));
+	}
+
+	unref() {
+		this.client.unref();
+	}
+
+	quit() {
+		return this.client.quit();
+	}
+
+}
+
+/**
+ * A backend for using a `Locker` with a [node-redis](https://github.com/redis/node-redis) v4
+ * client, created with `createClient()` and connected.  Cluster clients of node-redis are not
+ * supported.
+ *
+ * @class NodeRedisBackend
+ * @extends RedisBackend
+ * @constructor
+ * @param {RedisClient} client - A connected node-redis client
+ */
+class NodeRedisBackend extends RedisBackend {
+
+	constructor(client) {
+		super();
+		this.client = client;
+	}
+
+	_sendCommand(command, args) {
+		// node-redis only accepts strings as arguments
+		return this.client.sendCommand([ command.toUpperCase() ].concat(args.map((arg) => String(arg))))
+			.catch((err) => {
+				throw this._convertError(err);
+			});
+	}
+
+	/**
+	 * Opens a new connection for subscribing to channels.
+	 *
+	 * @method duplicate
+	 * @return {NodeRedisSubscriber}
+	 */
+	duplicate() {
+		return new NodeRedisSubscriber(this.client.duplicate());
+	}
+
+}
+
+module.exports = NodeRedisBackend;
@@ -0,0 +1,65 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/**
+ * A span that does nothing.
+ *
+ * @class NoopSpan
+ */
+class NoopSpan {
+
+	/**
+	 * Adds attributes to the span.
+	 *
+	 * @method setAttributes
+	 * @param {Object} attributes - Map from attribute name to a string, number, boolean or array
+	 *   of strings
+	 * @return {NoopSpan} - this
+	 */
+	setAttributes() {
+		return this;
+	}
+
+	/**
+	 * Marks the span as failed with an error.
+	 *
+	 * @method recordError
+	 * @param {Error} error
+	 */
+	recordError() {}
+
+	/**
+	 * Ends the span.
+	 *
+	 * @method end
+	 */
+	end() {}
+
+}
+
+const noopSpan = new NoopSpan();
+
+/**
+ * The default tracer of a `Locker` , which does nothing.  A tracer only needs a
+ * `startSpan(name, attributes)` method that returns a span with the same methods as `NoopSpan` .
+ *
+ * @class NoopTracer
+ */
+class NoopTracer {
+
+	/**
+	 * Starts a span.
+	 *
+	 * @method startSpan
+	 * @param {String} name
+	 * @param {Object} [attributes] - Initial attributes of the span
+	 * @return {NoopSpan}
+	 */
+	startSpan() {
+		return noopSpan;
+	}
+
+}
+
+module.exports = NoopTracer;
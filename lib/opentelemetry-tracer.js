@@ -0,0 +1,66 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+// Value of `SpanStatusCode.ERROR` in `@opentelemetry/api`
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Wraps an OpenTelemetry span in the span interface used by `Locker` .
+ *
+ * @class OpenTelemetrySpan
+ * @constructor
+ * @param {Span} span - The OpenTelemetry span
+ */
+class OpenTelemetrySpan {
+
+	constructor(span) {
+		this.span = span;
+	}
+
+	setAttributes(attributes) {
+		this.span.setAttributes(attributes);
+		return this;
+	}
+
+	recordError(error) {
+		this.span.recordException(error);
+		this.span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+	}
+
+	end() {
+		this.span.end();
+	}
+
+}
+
+/**
+ * A tracer for `Locker` that creates OpenTelemetry spans.  Spans are created in the active
+ * OpenTelemetry context, so they become children of the span active when the lock is acquired.
+ *
+ * @class OpenTelemetryTracer
+ * @constructor
+ * @param {Tracer} tracer - An OpenTelemetry tracer, such as the result of
+ *   `require('@opentelemetry/api').trace.getTracer('rediz-lock')`
+ */
+class OpenTelemetryTracer {
+
+	constructor(tracer) {
+		this.tracer = tracer;
+	}
+
+	/**
+	 * Starts a span.
+	 *
+	 * @method startSpan
+	 * @param {String} name
+	 * @param {Object} [attributes] - Initial attributes of the span
+	 * @return {OpenTelemetrySpan}
+	 */
+	startSpan(name, attributes = {}) {
+		return new OpenTelemetrySpan(this.tracer.startSpan(name, { attributes }));
+	}
+
+}
+
+module.exports = OpenTelemetryTracer;
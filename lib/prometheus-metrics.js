@@ -0,0 +1,149 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const _ = require('lodash');
+
+/**
+ * A metrics hook for `Locker` that collects lock metrics and renders them in the Prometheus text
+ * exposition format.  Pass an instance as the `metrics` option of the Locker, and serve the result
+ * of `render()` from a metrics endpoint.
+ *
+ * Any object with the same methods can be used as a metrics hook.  Lock types are `read`, `write`
+ * and `semaphore` .
+ *
+ * @class PrometheusMetrics
+ * @constructor
+ * @param {Object} [options={}]
+ *   @param {String} [options.prefix='rediz_lock_'] - Prefix for metric names
+ *   @param {Number[]} [options.buckets] - Upper bounds, in seconds, of the wait time histogram buckets
+ */
+class PrometheusMetrics {
+
+	constructor(options = {}) {
+		this.prefix = options.prefix || 'rediz_lock_';
+		let buckets = options.buckets || [ 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60 ];
+		this.buckets = buckets.slice().sort((a, b) => a - b);
+		this.contentType = 'text/plain; version=0.0.4';
+		// Maps from lock type to value
+		this.acquisitions = {};
+		this.timeouts = {};
+		this.conflictLosses = {};
+		this.heartbeatFailures = {};
+		this.heldLocks = {};
+		// Map from lock type to `{ buckets, sum, count }`
+		this.waitTimes = {};
+	}
+
+	/**
+	 * Records that a lock was acquired.
+	 *
+	 * @method lockAcquired
+	 * @param {String} lockType
+	 * @param {Number} waitTime - Time spent waiting for the lock, in seconds
+	 */
+	lockAcquired(lockType, waitTime) {
+		this.acquisitions[lockType] = (this.acquisitions[lockType] || 0) + 1;
+		let histogram = this.waitTimes[lockType];
+		if (!histogram) {
+			histogram = { buckets: this.buckets.map(() => 0), sum: 0, count: 0 };
+			this.waitTimes[lockType] = histogram;
+		}
+		this.buckets.forEach((bound, idx) => {
+			if (waitTime <= bound) histogram.buckets[idx]++;
+		});
+		histogram.sum += waitTime;
+		histogram.count++;
+	}
+
+	/**
+	 * Records that waiting for a lock timed out.
+	 *
+	 * @method lockTimedOut
+	 * @param {String} lockType
+	 */
+	lockTimedOut(lockType) {
+		this.timeouts[lockType] = (this.timeouts[lockType] || 0) + 1;
+	}
+
+	/**
+	 * Records that a lock waiter lost conflict resolution.
+	 *
+	 * @method conflictLost
+	 * @param {String} lockType
+	 */
+	conflictLost(lockType) {
+		this.conflictLosses[lockType] = (this.conflictLosses[lockType] || 0) + 1;
+	}
+
+	/**
+	 * Records that a heartbeat found a lock no longer held.
+	 *
+	 * @method heartbeatFailed
+	 * @param {String} lockType
+	 */
+	heartbeatFailed(lockType) {
+		this.heartbeatFailures[lockType] = (this.heartbeatFailures[lockType] || 0) + 1;
+	}
+
+	/**
+	 * Records a change in the number of locks held.
+	 *
+	 * @method lockHeld
+	 * @param {String} lockType
+	 * @param {Number} delta - 1 when a lock is acquired, -1 when it is released
+	 */
+	lockHeld(lockType, delta) {
+		this.heldLocks[lockType] = (this.heldLocks[lockType] || 0) + delta;
+	}
+
+	/**
+	 * Renders the collected metrics in the Prometheus text exposition format.
+	 *
+	 * @method render
+	 * @return {String}
+	 */
+	render() {
+		let lines = [];
+		let renderSimple = (name, type, help, values) => {
+			lines.push(`# HELP ${this.prefix}${name} ${help}`, `# TYPE ${this.prefix}${name} ${type}`);
+			for (let lockType of _.keys(values).sort()) {
+				lines.push(`${this.prefix}${name}{lock_type="${lockType}"} ${values[lockType]}`);
+			}
+		};
+		renderSimple('acquisitions_total', 'counter', 'Number of locks acquired.', this.acquisitions);
+
+		let name = this.prefix + 'wait_seconds';
+		lines.push(`# HELP ${name} Time spent waiting to acquire locks.`, `# TYPE ${name} histogram`);
+		for (let lockType of _.keys(this.waitTimes).sort()) {
+			let histogram = this.waitTimes[lockType];
+			this.buckets.forEach((bound, idx) => {
+				lines.push(`${name}_bucket{lock_type="${lockType}",le="${bound}"} ${histogram.buckets[idx]}`);
+			});
+			lines.push(
+				`${name}_bucket{lock_type="${lockType}",le="+Inf"} ${histogram.count}`,
+				`${name}_sum{lock_type="${lockType}"} ${histogram.sum}`,
+				`${name}_count{lock_type="${lockType}"} ${histogram.count}`
+			);
+		}
+
+		renderSimple('timeouts_total', 'counter', 'Number of lock waits that timed out.', this.timeouts);
+		renderSimple(
+			'conflict_losses_total',
+			'counter',
+			'Number of lock waits that lost conflict resolution.',
+			this.conflictLosses
+		);
+		renderSimple(
+			'heartbeat_failures_total',
+			'counter',
+			'Number of heartbeats that found a lock no longer held.',
+			this.heartbeatFailures
+		);
+		renderSimple('held_locks', 'gauge', 'Number of locks currently held.', this.heldLocks);
+		return lines.join('\n') + '\n';
+	}
+
+}
+
+module.exports = PrometheusMetrics;
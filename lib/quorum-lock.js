@@ -0,0 +1,128 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const DistributedWriteLock = require('./distributed-write-lock');
+const LockLostError = require('./lock-lost-error');
+
+/**
+ * A class with the same interface as RWLock that represents a read or write lock held on a
+ * majority of shards.  Releasing it releases the lock on every shard it was acquired on.
+ *
+ * @class QuorumLock
+ */
+class QuorumLock extends DistributedWriteLock {
+
+	/**
+	 * @constructor
+	 * @param {RWLock[]} rwlocks - The per-shard locks making up the quorum
+	 * @param {Number} quorum - Number of shards that must hold the lock for it to be valid
+	 * @param {Number} validUntil - Timestamp (in milliseconds) until which the lock is known to
+	 *   be valid without relying on heartbeats, after accounting for acquisition time and clock
+	 *   drift.  Infinity if the lock does not expire.
+	 */
+	constructor(rwlocks, quorum, validUntil) {
+		super(rwlocks);
+		this.quorum = quorum;
+		this.validUntil = validUntil;
+	}
+
+	_onShardLost(error) {
+		// Losing a minority of shards does not lose the lock
+		if (this.rwlocks.length - this.numLostShards < this.quorum) {
+			this._markLost(error);
+		}
+	}
+
+	/**
+	 * Checks redis to confirm that this lock is still held on a quorum of shards.
+	 *
+	 * @method isStillHeld
+	 * @return {Promise{Boolean}}
+	 */
+	async isStillHeld() {
+		if (!this.isLocked) return false;
+		let results = await Promise.all(this.rwlocks.map((lock) => lock.isStillHeld()));
+		return results.filter((held) => held).length >= this.quorum;
+	}
+
+	/**
+	 * Atomically downgrades this lock to a reader lock on each of its shards.
+	 *
+	 * @method downgrade
+	 * @return {Promise{QuorumLock}} - Resolves with `this` .  Rejects with a `LockLostError` if the
+	 *   lock could not be downgraded on a quorum of shards.
+	 */
+	async downgrade() {
+		if (!this.isLocked) {
+			throw new XError(XError.INTERNAL_ERROR, 'Cannot downgrade a lock that has been released.');
+		}
+		if (!this.isWriteLock) return this;
+		let results = await Promise.all(this.rwlocks.map((lock) => {
+			return lock.downgrade().then(() => true, (err) => {
+				if (err.code === XError.LOCK_LOST) return false;
+				throw err;
+			});
+		}));
+		let numDowngraded = results.filter((downgraded) => downgraded).length;
+		if (numDowngraded < this.quorum) {
+			throw new LockLostError(this.key, 'Cannot downgrade lost quorum lock on: ' + this.key, {
+				ownToken: this.token,
+				numDowngraded,
+				quorum: this.quorum
+			});
+		}
+		this.isWriteLock = false;
+		this.fencingToken = null;
+		this.locker._recordLockTypeChange(this, 'read');
+		return this;
+	}
+
+	_getUpgradeOptions() {
+		return { quorum: true, distributed: false };
+	}
+
+	_adoptLock(newLock) {
+		super._adoptLock(newLock);
+		this.quorum = newLock.quorum;
+		this.validUntil = newLock.validUntil;
+	}
+
+	/**
+	 * Extends the lock on every shard so that it expires `seconds` from now.  The lock remains
+	 * valid as long as it could be extended on a quorum of shards.
+	 *
+	 * @method extend
+	 * @param {Number} seconds
+	 * @return {Promise{QuorumLock}} - Resolves with `this` .  Rejects with a `LockLostError` if
+	 *   the lock could not be extended on a quorum of shards.
+	 */
+	async extend(seconds) {
+		if (!this.isLocked) {
+			throw new XError(XError.INTERNAL_ERROR, 'Cannot extend a lock that has been released.');
+		}
+		let start = Date.now();
+		let results = await Promise.all(this.rwlocks.map((lock) => {
+			return lock.extend(seconds).then(() => true, (err) => {
+				if (err.code === XError.LOCK_LOST) return false;
+				throw err;
+			});
+		}));
+		let numExtended = results.filter((extended) => extended).length;
+		if (numExtended < this.quorum) {
+			throw new LockLostError(this.key, 'Cannot extend lost quorum lock on: ' + this.key, {
+				lockType: this.isWriteLock ? 'write' : 'read',
+				ownToken: this.token,
+				numExtended,
+				quorum: this.quorum
+			});
+		}
+		let drift = Math.floor(seconds * 1000 * this.locker.defaults.quorumClockDriftFactor) + 2;
+		this.validUntil = start + seconds * 1000 - drift;
+		return this;
+	}
+
+}
+
+module.exports = QuorumLock;
@@ -0,0 +1,170 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const XError = require('xerror');
+
+// Redis commands the locker uses outside of scripts
+const COMMANDS = [ 'get', 'set', 'del', 'exists', 'incr', 'ttl', 'sismember', 'smembers', 'srem', 'scan' ];
+
+/**
+ * Base class for backends that let a `Locker` use redis through a client other than rediz.  A
+ * backend has the parts of the RedizClient interface that the locker uses:
+ *
+ * - `registerScriptDir(dirname)` - Loads the Lua scripts in a directory.
+ * - `getNumShards()` - Returns the number of independent redis nodes that locks are spread across.
+ * - `shard(shardKey)` - Returns a client for the node that a key (or, given a number, the shard with
+ *   that index) lives on.  Shard clients have a `runScript(name, ...args)` method and methods for
+ *   the commands in `RedisBackend.COMMANDS` , all of which return promises.
+ * - `redisClient.duplicate()` on shard clients - Only used with the `releaseNotifications` option.
+ *   Opens a subscriber connection with `subscribe(channel)` , `unsubscribe(channel)` , `unref()`
+ *   and `quit()` methods, which emits `ready` , `message` and `end` events.
+ *
+ * Backends built on this class use a single redis node, or a Redis Cluster (which is a single node
+ * as far as the locker is concerned), so they are their own shard client.  Subclasses implement
+ * `_sendCommand()` and `duplicate()` .
+ *
+ * @class RedisBackend
+ * @constructor
+ */
+class RedisBackend {
+
+	constructor() {
+		// Map from script name to `{ scriptText, sha, numKeyArgs }`
+		this.registeredScripts = {};
+		// The client duplicated by `ReleaseNotifier` to subscribe to release channels
+		this.redisClient = this;
+	}
+
+	/**
+	 * Reads the Lua scripts in a directory.  Like rediz, the number of key arguments of a script
+	 * is read from a `local numKeyArgs = <n>` line at the start of the script.
+	 *
+	 * @method loadScriptDir
+	 * @static
+	 * @param {String} dirname
+	 * @return {Promise{Object}} - Map from script name to `{ scriptText, sha, numKeyArgs }`
+	 */
+	static async loadScriptDir(dirname) {
+		let scripts = {};
+		for (let filename of await fs.promises.readdir(dirname)) {
+			if (filename.slice(-4) !== '.lua') continue;
+			let scriptText = await fs.promises.readFile(path.join(dirname, filename), { encoding: 'utf8' });
+			let matches = /^local numKeyArgs = ([0-9]+)/.exec(scriptText);
+			scripts[filename.slice(0, -4)] = {
+				scriptText,
+				sha: crypto.createHash('sha1').update(scriptText).digest('hex'),
+				numKeyArgs: matches ? parseInt(matches[1], 10) : 0
+			};
+		}
+		return scripts;
+	}
+
+	/**
+	 * Registers the Lua scripts in a directory, so they can be run with `runScript()` .
+	 *
+	 * @method registerScriptDir
+	 * @param {String} dirname
+	 * @return {Promise}
+	 */
+	async registerScriptDir(dirname) {
+		Object.assign(this.registeredScripts, await RedisBackend.loadScriptDir(dirname));
+	}
+
+	getNumShards() {
+		return 1;
+	}
+
+	shard() {
+		return this;
+	}
+
+	/**
+	 * Runs a registered script.  Scripts are run by their SHA1 digest, and sent to redis again if
+	 * redis does not have them cached.
+	 *
+	 * @method runScript
+	 * @param {String} name - Name of the script
+	 * @param {Mixed[]} ...args - Keys and params of the script
+	 * @return {Promise} - Resolves with the reply of the script
+	 */
+	runScript(name, ...args) {
+		let script = this.registeredScripts[name];
+		if (!script) throw new XError(XError.INTERNAL_ERROR, 'No such redis script: ' + name);
+		return this._evalScript(script, args);
+	}
+
+	/**
+	 * Runs a script with EVALSHA, falling back to EVAL if the script is not cached in redis.
+	 *
+	 * @method _evalScript
+	 * @protected
+	 * @param {Object} script - A registered script
+	 * @param {Mixed[]} args - The number of keys followed by the keys and params of the script
+	 * @return {Promise}
+	 */
+	_evalScript(script, args) {
+		return this._sendCommand('evalsha', [ script.sha, script.numKeyArgs ].concat(args))
+			.catch((err) => {
+				// The script cache is emptied when redis restarts
+				if (!/^NOSCRIPT/.test(err.message)) throw err;
+				return this._sendCommand('eval', [ script.scriptText, script.numKeyArgs ].concat(args));
+			});
+	}
+
+	/**
+	 * Sends a command to redis.  Implemented by subclasses.
+	 *
+	 * @method _sendCommand
+	 * @protected
+	 * @param {String} command - Lower case name of the command
+	 * @param {Mixed[]} args
+	 * @return {Promise} - Resolves with the reply.  Rejects with an XError with a code of
+	 *   `XError.REDIS_ERROR` .
+	 */
+	_sendCommand(/* command, args */) {
+		return Promise.reject(new XError(XError.UNSUPPORTED_OPERATION, 'Not implemented'));
+	}
+
+	/**
+	 * Opens a subscriber connection.  Implemented by subclasses.
+	 *
+	 * @method duplicate
+	 * @return {EventEmitter}
+	 */
+	duplicate() {
+		throw new XError(XError.UNSUPPORTED_OPERATION, 'Release notifications are not supported by this backend');
+	}
+
+	/**
+	 * Converts an error from a redis client to an XError, like rediz does.
+	 *
+	 * @method _convertError
+	 * @protected
+	 * @param {Error} err
+	 * @return {XError}
+	 */
+	_convertError(err) {
+		if (XError.isXError(err)) return err;
+		return new XError(XError.REDIS_ERROR, err.message, { command: err.command }, err);
+	}
+
+}
+
+RedisBackend.COMMANDS = COMMANDS;
+
+for (let command of COMMANDS) {
+	RedisBackend.prototype[command] = function(...args) {
+		return this._sendCommand(command, args);
+	};
+}
+
+XError.registerErrorCode('redis_error', {
+	message: 'Internal database error',
+	http: 500
+});
+
+module.exports = RedisBackend;
@@ -0,0 +1,153 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+/**
+ * Manages redis pub/sub subscriptions to lock release channels.  Release scripts publish on
+ * a per-key channel when a lock is released, and waiters listen on that channel so they can
+ * retry immediately instead of waiting out their backoff.
+ *
+ * @class ReleaseNotifier
+ * @constructor
+ * @param {Locker} locker - The locker this notifier belongs to
+ */
+class ReleaseNotifier {
+
+	constructor(locker) {
+		this.locker = locker;
+		// Map from channel name to a Set of listener functions
+		this.listeners = new Map();
+		// Map from channel name to a Set of subscriber clients subscribed to that channel
+		this.channelSubscribers = new Map();
+		// Map from the underlying redis client of a shard to a promise for its subscriber client
+		this.subscribers = new Map();
+		// Open subscriber clients, including those still connecting
+		this.connections = new Set();
+	}
+
+	/**
+	 * Returns the pub/sub channel used for release notifications on the given key.
+	 *
+	 * @method getChannel
+	 * @param {String} key
+	 * @return {String}
+	 */
+	getChannel(key) {
+		return this.locker.prefix + ':release:' + key;
+	}
+
+	/**
+	 * Registers a listener that is called whenever a lock on `key` is released on the shard
+	 * given by `shardKey` .  Subscribing happens in the background; errors are ignored because
+	 * waiters fall back to polling.
+	 *
+	 * @method listen
+	 * @param {Mixed} shardKey - The shard key the lock lives on
+	 * @param {String} key - The lock key
+	 * @param {Function} fn - Called with no arguments on each release
+	 * @return {Function} - Call to remove the listener
+	 */
+	listen(shardKey, key, fn) {
+		let channel = this.getChannel(key);
+		let listeners = this.listeners.get(channel);
+		if (!listeners) {
+			listeners = new Set();
+			this.listeners.set(channel, listeners);
+		}
+		listeners.add(fn);
+		this._subscribe(shardKey, channel).catch(() => {});
+		return () => {
+			listeners.delete(fn);
+			if (!listeners.size && this.listeners.get(channel) === listeners) {
+				this.listeners.delete(channel);
+				this._unsubscribe(channel);
+			}
+		};
+	}
+
+	async _subscribe(shardKey, channel) {
+		let subscriber = await this._getSubscriber(shardKey);
+		// The last listener may have gone away while the subscriber was connecting
+		if (!this.listeners.has(channel)) return;
+		let subscribed = this.channelSubscribers.get(channel);
+		if (!subscribed) {
+			subscribed = new Set();
+			this.channelSubscribers.set(channel, subscribed);
+		}
+		if (subscribed.has(subscriber)) return;
+		subscribed.add(subscriber);
+		subscriber.subscribe(channel);
+	}
+
+	_unsubscribe(channel) {
+		let subscribed = this.channelSubscribers.get(channel);
+		if (!subscribed) return;
+		this.channelSubscribers.delete(channel);
+		for (let subscriber of subscribed) {
+			subscriber.unsubscribe(channel);
+		}
+	}
+
+	async _getSubscriber(shardKey) {
+		let shardClient = this.locker.redizClient.shard(shardKey);
+		// Standalone rediz clients expose the redis client directly, shard clients through a promise
+		let redisClient = shardClient.redisClientPromise ?
+			await shardClient.redisClientPromise :
+			shardClient.redisClient;
+		let subscriberPromise = this.subscribers.get(redisClient);
+		if (!subscriberPromise) {
+			subscriberPromise = new Promise((resolve, reject) => {
+				let subscriber = redisClient.duplicate();
+				this.connections.add(subscriber);
+				// Subscriber connections should not keep the process alive on their own
+				subscriber.unref();
+				subscriber.on('message', (channel) => this._dispatch(channel));
+				subscriber.on('error', () => {
+					// Errors are not fatal here; waiters still poll
+				});
+				subscriber.once('ready', () => resolve(subscriber));
+				subscriber.once('end', () => {
+					this.connections.delete(subscriber);
+					if (this.subscribers.get(redisClient) === subscriberPromise) this.subscribers.delete(redisClient);
+					for (let subscribed of this.channelSubscribers.values()) {
+						subscribed.delete(subscriber);
+					}
+					reject(new Error('Subscriber connection closed'));
+				});
+			});
+			this.subscribers.set(redisClient, subscriberPromise);
+		}
+		return await subscriberPromise;
+	}
+
+	/**
+	 * Closes all subscriber connections.  Listeners are kept, but no longer called.
+	 *
+	 * @method close
+	 * @return {Promise}
+	 */
+	async close() {
+		let connections = Array.from(this.connections);
+		this.connections.clear();
+		this.subscribers.clear();
+		this.channelSubscribers.clear();
+		await Promise.all(connections.map((subscriber) => {
+			return Promise.resolve()
+				.then(() => subscriber.quit())
+				.catch(() => {
+					// The connection is already closed
+				});
+		}));
+	}
+
+	_dispatch(channel) {
+		let listeners = this.listeners.get(channel);
+		if (!listeners) return;
+		for (let fn of Array.from(listeners)) {
+			fn();
+		}
+	}
+
+}
+
+module.exports = ReleaseNotifier;
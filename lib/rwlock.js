@@ -4,12 +4,18 @@
 
 const XError = require('xerror');
 const pasync = require('pasync');
+const EventEmitter = require('events').EventEmitter;
+const LockLostError = require('./lock-lost-error');
 /**
  * A class representing a reader/writer lock on one or more keys.
  *
+ * Emits a `lost` event (with a `LockLostError`) if the lock is found to be no longer held, for
+ * example because it expired before a heartbeat.  At the same time, `signal` (an `AbortSignal`)
+ * is aborted so that work protected by the lock can be cancelled.
+ *
  * @class RWLock
  */
-class RWLock {
+class RWLock extends EventEmitter {
 
 	/**
 	 * @constructor
@@ -20,21 +26,36 @@ class RWLock {
 	 * @param {Boolean} [isWriteLock=false] - If true, this lock is a write lock.
 	 * @param {Number} [heartbeatInterval=1000] - Heartbeat interval in milliseconds, null or false to disable
 	 * @param {Number} [heartbeatTimeout=5] - Heartbeat timeout in seconds
+	 * @param {Number} [fencingToken=null] - Monotonically increasing number issued when the write
+	 *   lock was claimed.  Null for read locks.
 	 */
 	constructor(
 		locker, key, token, distributedShard = null,
-		isWriteLock = false, heartbeatInterval = 1000, heartbeatTimeout = 5
+		isWriteLock = false, heartbeatInterval = 1000, heartbeatTimeout = 5, fencingToken = null
 	) {
+		super();
 		this.locker = locker;
 		this.key = key;
 		this.isWriteLock = isWriteLock;
 		this.isLocked = true;
 		this.token = token;
+		this.fencingToken = fencingToken;
 		this.distributedShard = distributedShard;
+		// Set by the locker for upgradable read locks
+		this.isUpgradable = false;
+		// Set by the locker's deadlock detector if this lock belongs to a deadlock owner
+		this.deadlockOwner = null;
+		// Set by the locker to the lock type this lock is counted as in metrics
+		this.metricsLockType = null;
+		// Tracer span covering the time this lock is held, set by the locker
+		this.holdSpan = null;
 		this.heartbeatInterval = heartbeatInterval;
 		this.heartbeatTimeout = heartbeatTimeout;
 		// Number of times this lock has been locked.  Expect the same number of releases.
 		this.referenceCount = 1;
+		this.isLost = false;
+		this._abortController = new AbortController();
+		this.signal = this._abortController.signal;
 		if (this.isWriteLock && !this.token) {
 			throw new XError(XError.INTERNAL_ERROR, 'This should have the same number of tokens as keys ' +
 				'if it is a write lock');
@@ -59,37 +80,107 @@ class RWLock {
 		}
 		this.heartbeatHandle = setInterval(() => {
 			let client = this.locker.redizClient.shard(this._getShardKey());
-			let promise;
-			if (this.isWriteLock) {
-				promise = client.runScript(
-					'writeLockHeartbeat',
-					this.locker.prefix + ':write:' + this.key,
-					this.token,
-					this.heartbeatTimeout
-				);
-			} else {
-				promise = client.runScript(
-					'readLockHeartbeat',
-					this.locker.prefix + ':read:' + this.key,
-					this.token,
-					this.heartbeatTimeout
-				);
-			}
-			promise.then((result) => {
-				if (result[0] === 0) {
-					console.warn('Tried to heartbeat lock not owned by this locker.  Owned by: ' + result[1]);
-					this._stopHeartbeat();
-				} else if (result[0] === 3) {
-					console.warn('Lock expired before heartbeat: ' + this.key);
-					this._stopHeartbeat();
-				} else if (result[0] !== 1) {
-					console.warn('Lock heartbeat failed: ' + result[0]);
-					this._stopHeartbeat();
-				}
+			this._runHeartbeatScript(client).then((result) => {
+				if (result[0] === 1) return;
+				let lockType = this.metricsLockType || (this.isWriteLock ? 'write' : 'read');
+				this.locker._recordMetric('heartbeatFailed', lockType);
+				// Check whether the lock was broken with `Locker#breakLock()`
+				return client.exists(this.locker.prefix + ':broken:' + this.token).then((broken) => {
+					if (broken) {
+						this._onHeartbeatLost('broken', 'Lock was broken: ' + this.key,
+							new LockLostError(this.key, 'Lock was broken: ' + this.key, { broken: true }));
+					} else if (result[0] === 0) {
+						this._onHeartbeatLost(
+							'takenOver',
+							'Tried to heartbeat lock not owned by this locker.  Owned by: ' + result[1],
+							new LockLostError(this.key, 'Lock taken over by another holder: ' + this.key, {
+								holder: result[1]
+							})
+						);
+					} else if (result[0] === 3) {
+						this._onHeartbeatLost('expired', 'Lock expired before heartbeat: ' + this.key,
+							new LockLostError(this.key, 'Lock expired before heartbeat: ' + this.key));
+					} else {
+						this._onHeartbeatLost('failed', 'Lock heartbeat failed: ' + result[0],
+							new LockLostError(this.key, 'Lock heartbeat failed: ' + this.key, { result: result[0] }));
+					}
+				});
 			}).catch(pasync.abort);
 		}, this.heartbeatInterval);
 	}
 
+	/**
+	 * Emits `heartbeatLost` on the locker and marks this lock as lost.
+	 *
+	 * @method _onHeartbeatLost
+	 * @private
+	 * @param {String} reason - One of 'broken', 'takenOver', 'expired' or 'failed'
+	 * @param {String} message - Log message
+	 * @param {LockLostError} error
+	 */
+	_onHeartbeatLost(reason, message, error) {
+		this.locker._emitEvent('heartbeatLost', 'warn', message, {
+			key: this.key,
+			lockType: this.metricsLockType || (this.isWriteLock ? 'write' : 'read'),
+			token: this.token,
+			reason,
+			error
+		});
+		this._markLost(error);
+	}
+
+	/**
+	 * Runs the heartbeat script for this lock.
+	 *
+	 * @method _runHeartbeatScript
+	 * @protected
+	 * @param {RedisClientCommon} client - Client for the shard holding the lock
+	 * @param {Number} [timeout=this.heartbeatTimeout] - New lock expiry, in seconds from now
+	 * @return {Promise{Array}} - Resolves with the heartbeat script result
+	 */
+	_runHeartbeatScript(client, timeout = this.heartbeatTimeout) {
+		if (this.isWriteLock) {
+			return client.runScript(
+				'writeLockHeartbeat',
+				this.locker.prefix + ':write:' + this.key,
+				this.token,
+				timeout
+			);
+		} else if (this.isUpgradable) {
+			return client.runScript(
+				'upgradableLockHeartbeat',
+				this.locker.prefix + ':read:' + this.key,
+				this.locker.prefix + ':upgrade:' + this.key,
+				this.token,
+				timeout
+			);
+		} else {
+			return client.runScript(
+				'readLockHeartbeat',
+				this.locker.prefix + ':read:' + this.key,
+				this.token,
+				timeout
+			);
+		}
+	}
+
+	/**
+	 * Records that this lock is no longer held.  Stops heartbeats, aborts `signal` and emits
+	 * `lost` .  Does nothing if the lock was already released or marked as lost.
+	 *
+	 * @method _markLost
+	 * @protected
+	 * @param {LockLostError} error
+	 */
+	_markLost(error) {
+		this._stopHeartbeat();
+		if (!this.isLocked || this.isLost) return;
+		this.isLost = true;
+		if (this.holdSpan) this.holdSpan.recordError(error);
+		this._abortController.abort(error);
+		this.emit('lost', error);
+	}
+
 	_stopHeartbeat() {
 		if (this.heartbeatHandle !== undefined) {
 			clearInterval(this.heartbeatHandle);
@@ -133,15 +224,24 @@ class RWLock {
 		this._stopDistributedLockFlagCheckTimer();
 		if (!this.isLocked) return Promise.resolve();
 		this.isLocked = false;
-		if (!this.isWriteLock) {
+		this.locker._recordLockReleased(this);
+		if (this.deadlockOwner) this.locker.deadlockDetector.untrackLock(this);
+		if (!this.isWriteLock && this.isUpgradable) {
 			let client = this.locker.redizClient.shard(this._getShardKey(), { downNodeExpiry: 0 });
-			return client.runScript('readLockRelease', this.locker.prefix + ':read:' + this.key, this.token);
+			return client.runScript('upgradableLockRelease', this.locker.prefix + ':read:' + this.key,
+				this.locker.prefix + ':upgrade:' + this.key, this.token,
+				this.locker.releaseNotifier.getChannel(this.key));
+		} else if (!this.isWriteLock) {
+			let client = this.locker.redizClient.shard(this._getShardKey(), { downNodeExpiry: 0 });
+			return client.runScript('readLockRelease', this.locker.prefix + ':read:' + this.key, this.token,
+				this.locker.releaseNotifier.getChannel(this.key));
 		} else {
 			let client = this.locker.redizClient.shard(this._getShardKey(), { downNodeExpiry: 0 });
-			return client.runScript('writeLockRelease', this.locker.prefix + ':write:' + this.key, this.token)
+			return client.runScript('writeLockRelease', this.locker.prefix + ':write:' + this.key, this.token,
+				this.locker.releaseNotifier.getChannel(this.key))
 				.catch( (error) => {
 					if (error.message !== 'Shard unavailable' && error.code === 'redis_error') {
-						console.warn(error);
+						this.locker.logger.warn('Error releasing lock on ' + this.key, error);
 						return null;
 					} else {
 						throw error;
@@ -159,7 +259,10 @@ class RWLock {
 		this.referenceCount--;
 		if (this.referenceCount < 0) {
 			this.referenceCount = 0;
-			console.warn('Lock on ' + this.key + ' released too many times');
+			this.locker._emitEvent('overRelease', 'warn', 'Lock on ' + this.key + ' released too many times', {
+				key: this.key,
+				token: this.token
+			});
 		}
 		if (this.referenceCount === 0) {
 			return this.forceRelease();
@@ -169,7 +272,79 @@ class RWLock {
 	}
 
 	/**
-	 * Upgrades a reader lock to a writer lock.
+	 * Extends the lock so that it expires `seconds` from now, after verifying that it is still
+	 * held.  This is mainly useful when heartbeats are disabled; if they are enabled, the next
+	 * heartbeat resets the expiry to `heartbeatTimeout` .
+	 *
+	 * @method extend
+	 * @param {Number} seconds
+	 * @return {Promise{RWLock}} - Resolves with `this` .  Rejects with a `LockLostError` (an XError
+	 *   with a code of `XError.LOCK_LOST`) if the lock has expired or is held by someone else.
+	 */
+	extend(seconds) {
+		if (!this.isLocked) {
+			return Promise.reject(new XError(XError.INTERNAL_ERROR, 'Cannot extend a lock that has been released.'));
+		}
+		let client = this.locker.redizClient.shard(this._getShardKey());
+		return this._runHeartbeatScript(client, seconds).then((result) => {
+			if (result[0] !== 1) {
+				let error = new LockLostError(this.key, 'Cannot extend lost lock on: ' + this.key, {
+					lockType: this.isWriteLock ? 'write' : 'read',
+					ownToken: this.token,
+					holder: result[1] || null
+				});
+				this._markLost(error);
+				throw error;
+			}
+			return this;
+		});
+	}
+
+	/**
+	 * Checks redis to confirm that this lock is still held: for a write lock, that the write key
+	 * still holds this lock's token, and for a read lock, that the token is still in the read set.
+	 * Unlike `isLocked`, this detects locks that expired or were taken over in redis.
+	 *
+	 * @method isStillHeld
+	 * @return {Promise{Boolean}}
+	 */
+	isStillHeld() {
+		if (!this.isLocked) return Promise.resolve(false);
+		let client = this.locker.redizClient.shard(this._getShardKey());
+		return this._checkHeld(client).then((held) => {
+			if (!held) this._markLost(new LockLostError(this.key));
+			return held;
+		});
+	}
+
+	/**
+	 * Queries redis for whether this lock's token still holds the lock.
+	 *
+	 * @method _checkHeld
+	 * @protected
+	 * @param {RedisClientCommon} client - Client for the shard holding the lock
+	 * @return {Promise{Boolean}}
+	 */
+	_checkHeld(client) {
+		if (this.isWriteLock) {
+			return client.get(this.locker.prefix + ':write:' + this.key)
+				.then((holder) => holder === this.token);
+		} else if (this.isUpgradable) {
+			return Promise.all([
+				client.sismember(this.locker.prefix + ':read:' + this.key, this.token),
+				client.get(this.locker.prefix + ':upgrade:' + this.key)
+			]).then(([ isMember, holder ]) => isMember === 1 && holder === this.token);
+		} else {
+			return client.sismember(this.locker.prefix + ':read:' + this.key, this.token)
+				.then((isMember) => isMember === 1);
+		}
+	}
+
+	/**
+	 * Upgrades a reader lock to a writer lock.  A plain read lock is released before the write
+	 * lock is acquired, so another writer may get the lock in between.  An upgradable read lock
+	 * (see the `upgradable` option of `Locker#readLock()`) is upgraded without releasing it.
+	 *
 	 * @param {Object} [options={}]
 	 *   @param {Number} [options.lockTimeout]
 	 *   @param {Number} [options.maxWaitTime]
@@ -186,12 +361,40 @@ class RWLock {
 		}
 		if (this.isWriteLock) return Promise.resolve(this);
 		let onErr = options.onError || 'stop';
+		if (this.isUpgradable) {
+			return this.locker._upgradeUpgradableLock(this, options).then((fencingToken) => {
+				this.fencingToken = fencingToken;
+				this.isWriteLock = true;
+				this.isUpgradable = false;
+				this.locker._recordLockTypeChange(this, 'write');
+				return this;
+			}).catch((error) => {
+				if (onErr === 'release') {
+					return this.forceRelease().then( () => {
+						throw error;
+					});
+				} else {
+					throw error;
+				}
+			});
+		}
 		return this.forceRelease().then( () => {
-			return this.locker.writeLock(this.key, options);
+			// Skip reentrancy, which would find this lock again
+			return this.locker.writeLock(this.key, Object.assign({}, options, { _skipReentrancy: true }));
 		}).then( (newLock) => {
 			this.token = newLock.token;
+			this.fencingToken = newLock.fencingToken;
+			this.deadlockOwner = newLock.deadlockOwner;
+			// This lock is now held in place of the new lock
+			this.locker._transferLockRecord(newLock, this);
 			this.isWriteLock = true;
 			this.isLocked = true;
+			if (this.isLost) {
+				// The new write lock gets a fresh signal; the old one stays aborted
+				this.isLost = false;
+				this._abortController = new AbortController();
+				this.signal = this._abortController.signal;
+			}
 			newLock._stopHeartbeat();
 			this._startHeartbeat();
 			return this;
@@ -206,6 +409,42 @@ class RWLock {
 		});
 	}
 
+	/**
+	 * Atomically downgrades a writer lock to a reader lock.  Other readers can acquire the lock
+	 * afterwards, but no writer can acquire it in between.  The lock keeps its token and expiry.
+	 *
+	 * @method downgrade
+	 * @return {Promise{RWLock}} - Resolves with `this` .  Rejects with a `LockLostError` if the
+	 *   write lock is no longer held.
+	 */
+	downgrade() {
+		if (!this.isLocked) {
+			return Promise.reject(new XError(XError.INTERNAL_ERROR, 'Cannot downgrade a lock that has been released.'));
+		}
+		if (!this.isWriteLock) return Promise.resolve(this);
+		let client = this.locker.redizClient.shard(this._getShardKey());
+		return client.runScript(
+			'writeLockDowngrade',
+			this.locker.prefix + ':write:' + this.key,
+			this.locker.prefix + ':read:' + this.key,
+			this.token,
+			this.locker.releaseNotifier.getChannel(this.key)
+		).then((result) => {
+			if (result[0] !== 1) {
+				let error = new LockLostError(this.key, 'Cannot downgrade lost lock on: ' + this.key, {
+					ownToken: this.token,
+					holder: result[1] || null
+				});
+				this._markLost(error);
+				throw error;
+			}
+			this.isWriteLock = false;
+			this.fencingToken = null;
+			this.locker._recordLockTypeChange(this, 'read');
+			return this;
+		});
+	}
+
 	/**
 	 * Increments the reference counter of this lock.  Throws an error if the lock is already
 	 * released.
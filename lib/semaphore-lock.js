@@ -0,0 +1,74 @@
+// Copyright 2016 Zipscene, LLC
+// Licensed under the Apache License, Version 2.0
+// http://www.apache.org/licenses/LICENSE-2.0
+
+const XError = require('xerror');
+const RWLock = require('./rwlock');
+
+/**
+ * A class with the same interface as RWLock that represents one permit of a counting semaphore.
+ *
+ * @class SemaphoreLock
+ */
+class SemaphoreLock extends RWLock {
+
+	/**
+	 * @constructor
+	 * @param {Locker} locker - The `Locker` instance that created this lock.
+	 * @param {String} key - The semaphore key.
+	 * @param {String} token - The token that holds the permit.
+	 * @param {Number} permits - The maximum number of concurrent holders of the semaphore.
+	 * @param {Number} [heartbeatInterval=1000] - Heartbeat interval in milliseconds, null or false to disable
+	 * @param {Number} [heartbeatTimeout=5] - Heartbeat timeout in seconds
+	 */
+	constructor(locker, key, token, permits, heartbeatInterval = 1000, heartbeatTimeout = 5) {
+		super(locker, key, token, null, false, heartbeatInterval, heartbeatTimeout);
+		this.permits = permits;
+	}
+
+	_runHeartbeatScript(client, timeout = this.heartbeatTimeout) {
+		return client.runScript(
+			'semaphoreHeartbeat',
+			this.locker.prefix + ':sem:' + this.key,
+			this.token,
+			timeout
+		);
+	}
+
+	_checkHeld(client) {
+		return client.runScript('semaphoreCheck', this.locker.prefix + ':sem:' + this.key, this.token)
+			.then((result) => result[0] === 1);
+	}
+
+	/**
+	 * Forces releasing the permit immediately, regardless of reference counts.  This does not
+	 * decrement the reference count.
+	 *
+	 * @return {Promise} - Resolves when the permit is released.
+	 */
+	forceRelease() {
+		this._stopHeartbeat();
+		if (!this.isLocked) return Promise.resolve();
+		this.isLocked = false;
+		this.locker._recordLockReleased(this);
+		let client = this.locker.redizClient.shard(this.key, { downNodeExpiry: 0 });
+		return client.runScript(
+			'semaphoreRelease',
+			this.locker.prefix + ':sem:' + this.key,
+			this.token,
+			this.locker.releaseNotifier.getChannel(this.key)
+		);
+	}
+
+	/**
+	 * Semaphore permits cannot be upgraded.
+	 *
+	 * @return {Promise} - Always rejects
+	 */
+	upgrade() {
+		return Promise.reject(new XError(XError.UNSUPPORTED_OPERATION, 'Cannot upgrade a semaphore permit'));
+	}
+
+}
+
+module.exports = SemaphoreLock;
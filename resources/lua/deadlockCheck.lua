@@ -0,0 +1,72 @@
+local numKeyArgs = 0
+
+-- Records that a lock waiter is blocked on a set of holder tokens, then searches the wait-for
+-- graph for a cycle leading back to the waiter's owner.  All deadlock detection keys live on
+-- the same shard, and their names vary, so they are built from <Prefix>.
+-- Params: <Prefix> <Expiry> <Owner> <WaitId> <WaitKey> <NumHolders> <HolderToken>... <OwnToken>...
+--   <OwnToken>s are the tokens held (or claimed) by <Owner>.
+-- Returns:
+-- { 0 } - No cycle found
+-- { 1, <Owner>, <Key>, <Owner>, <Key>, ... } - Cycle found.  Lists each owner in the cycle,
+--   starting with <Owner>, and the key it is waiting for.
+
+local prefix = ARGV[1]
+local expiry = ARGV[2]
+local owner = ARGV[3]
+local waitId = ARGV[4]
+local numHolders = tonumber(ARGV[6])
+
+-- Record the edges from this wait to the holders it is blocked on
+local waitHoldersKey = prefix .. ":dlwait:" .. waitId
+redis.call("del", waitHoldersKey)
+for i = 7, 6 + numHolders do
+	redis.call("sadd", waitHoldersKey, ARGV[i])
+end
+redis.call("expire", waitHoldersKey, expiry)
+redis.call("set", prefix .. ":dlwkey:" .. waitId, ARGV[5], "EX", expiry)
+redis.call("sadd", prefix .. ":dlwaits:" .. owner, waitId)
+redis.call("expire", prefix .. ":dlwaits:" .. owner, expiry)
+for i = 7 + numHolders, #ARGV do
+	redis.call("set", prefix .. ":dlowner:" .. ARGV[i], owner, "EX", expiry)
+end
+
+-- Breadth-first search through the owners that this owner is (transitively) waiting on
+local visited = { [owner] = true }
+local parentOwner = {}
+local parentKey = {}
+local queue = { owner }
+local head = 1
+while head <= #queue do
+	local current = queue[head]
+	head = head + 1
+	local waitIds = redis.call("smembers", prefix .. ":dlwaits:" .. current)
+	for _, curWaitId in ipairs(waitIds) do
+		local curKey = redis.call("get", prefix .. ":dlwkey:" .. curWaitId)
+		if not curKey then
+			-- The wait finished or expired
+			redis.call("srem", prefix .. ":dlwaits:" .. current, curWaitId)
+		else
+			for _, holder in ipairs(redis.call("smembers", prefix .. ":dlwait:" .. curWaitId)) do
+				local holderOwner = redis.call("get", prefix .. ":dlowner:" .. holder)
+				if holderOwner == owner then
+					-- Walk back to this owner to build the cycle
+					local cycle = { current, curKey }
+					local o = current
+					while o ~= owner do
+						table.insert(cycle, 1, parentKey[o])
+						table.insert(cycle, 1, parentOwner[o])
+						o = parentOwner[o]
+					end
+					table.insert(cycle, 1, 1)
+					return cycle
+				elseif holderOwner and not visited[holderOwner] then
+					visited[holderOwner] = true
+					parentOwner[holderOwner] = current
+					parentKey[holderOwner] = curKey
+					table.insert(queue, holderOwner)
+				end
+			end
+		end
+	end
+end
+return { 0 }
@@ -9,7 +9,7 @@ local numKeyArgs = 1
 
 local existingReadLock = redis.call("scard", KEYS[1])
 if existingReadLock > 0 then
-	if redis.call("sismember", KEYS[1], ARGV[1]) then
+	if redis.call("sismember", KEYS[1], ARGV[1]) == 1 then
 		redis.call("expire", KEYS[1], ARGV[2]);
 		return { 1 }
 	else
@@ -0,0 +1,24 @@
+local numKeyArgs = 0
+
+-- Acquires read locks on several keys at once.  Either all of the keys are locked, or none of them.
+-- The number of keys varies, so the key names are passed as params.
+-- Params: <KeyTimeout> (<WriteLockKey> <ReadLockKey> <LockToken>)...
+-- Returns:
+-- { 0, <Index>, <Token> } - The key at (1-based) <Index> is already write locked by <Token>; nothing
+--   was locked
+-- { 1 } - All keys were successfully read locked
+
+for i = 2, #ARGV, 3 do
+	local existingWriteLock = redis.call("get", ARGV[i])
+	if existingWriteLock then
+		return { 0, (i + 1) / 3, existingWriteLock }
+	end
+end
+
+for i = 2, #ARGV, 3 do
+	redis.call("sadd", ARGV[i + 1], ARGV[i + 2])
+	if ARGV[1] ~= "0" then
+		redis.call("expire", ARGV[i + 1], ARGV[1])
+	end
+end
+return { 1 }
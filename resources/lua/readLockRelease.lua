@@ -2,10 +2,14 @@ local numKeyArgs = 1
 
 -- Arguments:
 -- Keys: <ReadLockKey>
--- Params: <LockToken>
+-- Params: <LockToken> [<ReleaseChannel>]
 -- Returns:
 -- { 1, <TokenList> } - Read lock released, returns remaining holders
+-- If <ReleaseChannel> is given, a message is published on it when the last reader releases.
 
 redis.call("srem", KEYS[1], ARGV[1])
-return { 1, redis.call("smembers", KEYS[1]) }
-
+local holders = redis.call("smembers", KEYS[1])
+if ARGV[2] and #holders == 0 then
+	redis.call("publish", ARGV[2], "read")
+end
+return { 1, holders }
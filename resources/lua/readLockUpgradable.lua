@@ -0,0 +1,22 @@
+local numKeyArgs = 3
+
+-- Arguments:
+-- Keys: <WriteLockKey> <ReadLockKey> <UpgradeLockKey>
+-- Params: <LockToken> <KeyTimeout>
+-- Returns:
+-- { 0, <Token> } - Key is write locked, or another upgradable read lock is held, by <Token>
+-- { 1, <TokenList> } - Key was successfully read locked and claimed for upgrade, also returns the list of holders
+
+local existingLock = redis.call("get", KEYS[1]) or redis.call("get", KEYS[3])
+if existingLock then
+	return { 0, existingLock }
+end
+
+redis.call("sadd", KEYS[2], ARGV[1])
+if ARGV[2] ~= 0 and ARGV[2] ~= "0" then
+	redis.call("set", KEYS[3], ARGV[1], "EX", ARGV[2])
+	redis.call("expire", KEYS[2], ARGV[2])
+else
+	redis.call("set", KEYS[3], ARGV[1])
+end
+return { 1, redis.call("smembers", KEYS[2]) }
@@ -0,0 +1,34 @@
+local numKeyArgs = 1
+
+-- Arguments:
+-- Keys: <SemaphoreKey>
+-- Params: <LockToken> <Permits> <Expiry>
+-- Returns:
+-- { 0, <TokenList> } - All permits are taken, returning the tokens that hold them
+-- { 1 } - A permit was successfully acquired
+
+redis.replicate_commands()
+local time = redis.call("time")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+-- Free the permits of holders that stopped heartbeating
+redis.call("zremrangebyscore", KEYS[1], "-inf", now)
+
+if not redis.call("zscore", KEYS[1], ARGV[1]) and redis.call("zcard", KEYS[1]) >= tonumber(ARGV[2]) then
+	return { 0, redis.call("zrange", KEYS[1], 0, -1) }
+end
+
+if ARGV[3] ~= 0 and ARGV[3] ~= "0" then
+	redis.call("zadd", KEYS[1], now + tonumber(ARGV[3]) * 1000, ARGV[1])
+else
+	redis.call("zadd", KEYS[1], "+inf", ARGV[1])
+end
+
+-- Expire the whole set together with its longest-lived holder
+local last = redis.call("zrange", KEYS[1], -1, -1, "withscores")
+if last[2] == "inf" or last[2] == "+inf" then
+	redis.call("persist", KEYS[1])
+else
+	redis.call("pexpireat", KEYS[1], last[2])
+end
+return { 1 }
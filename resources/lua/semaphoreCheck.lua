@@ -0,0 +1,19 @@
+local numKeyArgs = 1
+
+-- Arguments:
+-- Keys: <SemaphoreKey>
+-- Params: <LockToken>
+-- Returns:
+-- { 1 } - Permit is held by the token
+-- { 3 } - Permit is not held by the token
+
+redis.replicate_commands()
+local time = redis.call("time")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local holderExpiry = redis.call("zscore", KEYS[1], ARGV[1])
+if holderExpiry and tonumber(holderExpiry) > now then
+	return { 1 }
+else
+	return { 3 }
+end
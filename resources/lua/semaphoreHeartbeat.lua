@@ -0,0 +1,28 @@
+local numKeyArgs = 1
+
+-- Arguments:
+-- Keys: <SemaphoreKey>
+-- Params: <LockToken> <Expiry>
+-- Returns:
+-- { 1 } - Permit still held, heartbeat successful
+-- { 3 } - Lost the permit
+
+redis.replicate_commands()
+local time = redis.call("time")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local holderExpiry = redis.call("zscore", KEYS[1], ARGV[1])
+if not holderExpiry or tonumber(holderExpiry) <= now then
+	return { 3 }
+end
+
+redis.call("zadd", KEYS[1], now + tonumber(ARGV[2]) * 1000, ARGV[1])
+
+-- Expire the whole set together with its longest-lived holder
+local last = redis.call("zrange", KEYS[1], -1, -1, "withscores")
+if last[2] == "inf" or last[2] == "+inf" then
+	redis.call("persist", KEYS[1])
+else
+	redis.call("pexpireat", KEYS[1], last[2])
+end
+return { 1 }
@@ -0,0 +1,18 @@
+local numKeyArgs = 1
+
+-- Arguments:
+-- Keys: <SemaphoreKey>
+-- Params: <LockToken> [<ReleaseChannel>]
+-- Returns:
+-- { 0 } - Permit was previously released or expired
+-- { 1 } - Permit released
+-- If <ReleaseChannel> is given, a message is published on it when the permit is released.
+
+if redis.call("zrem", KEYS[1], ARGV[1]) == 1 then
+	if ARGV[2] then
+		redis.call("publish", ARGV[2], "semaphore")
+	end
+	return { 1 }
+else
+	return { 0 }
+end
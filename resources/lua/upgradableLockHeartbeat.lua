@@ -0,0 +1,23 @@
+local numKeyArgs = 2
+
+-- Arguments:
+-- Keys: <ReadLockKey> <UpgradeLockKey>
+-- Params: <LockToken> <Expiry>
+-- Returns:
+-- { 0, <Token> } - The upgrade claim has been taken by someone else
+-- { 1 } - Lock still held, heartbeat successful
+-- { 3 } - Lost the lock
+
+local upgradeHolder = redis.call("get", KEYS[2])
+if not upgradeHolder then
+	return { 3 }
+end
+if upgradeHolder ~= ARGV[1] then
+	return { 0, upgradeHolder }
+end
+if redis.call("sismember", KEYS[1], ARGV[1]) == 0 then
+	return { 3 }
+end
+redis.call("expire", KEYS[1], ARGV[2])
+redis.call("expire", KEYS[2], ARGV[2])
+return { 1 }
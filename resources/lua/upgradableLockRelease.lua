@@ -0,0 +1,17 @@
+local numKeyArgs = 2
+
+-- Arguments:
+-- Keys: <ReadLockKey> <UpgradeLockKey>
+-- Params: <LockToken> [<ReleaseChannel>]
+-- Returns:
+-- { 1, <TokenList> } - Upgradable read lock released, returns remaining read holders
+-- If <ReleaseChannel> is given, a message is published on it when the upgrade claim is released.
+
+redis.call("srem", KEYS[1], ARGV[1])
+if redis.call("get", KEYS[2]) == ARGV[1] then
+	redis.call("del", KEYS[2])
+	if ARGV[2] then
+		redis.call("publish", ARGV[2], "upgradable")
+	end
+end
+return { 1, redis.call("smembers", KEYS[1]) }
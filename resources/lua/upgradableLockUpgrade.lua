@@ -0,0 +1,48 @@
+local numKeyArgs = 4
+
+-- Arguments:
+-- Keys: <WriteLockKey> <ReadLockKey> <UpgradeLockKey> <FenceKey>
+-- Params: <LockToken> <Expiry>
+-- Returns:
+-- { 0, <Token> } - The upgrade claim or write lock is held by someone else (<Token>)
+-- { 1, <FencingToken> } - Upgraded to a write lock; the read lock and upgrade claim are released
+-- { 2, <TokenList>, <FencingToken> } - Write lock claimed, but other read locks still exist
+-- { 3 } - The upgradable read lock expired
+-- The fencing token is only returned when the write lock is claimed (again).
+-- The read lock and upgrade claim are kept until the upgrade completes, so nobody else can take
+-- the write lock in between, even if the write lock claim expires while waiting for readers.
+
+local upgradeHolder = redis.call("get", KEYS[3])
+if not upgradeHolder then
+	return { 3 }
+end
+if upgradeHolder ~= ARGV[1] then
+	return { 0, upgradeHolder }
+end
+
+local existingWriteLock = redis.call("get", KEYS[1])
+if existingWriteLock and existingWriteLock ~= ARGV[1] then
+	return { 0, existingWriteLock }
+end
+
+local fencingToken = nil
+if not existingWriteLock then
+	redis.call("set", KEYS[1], ARGV[1])
+	fencingToken = redis.call("incr", KEYS[4])
+end
+if ARGV[2] ~= 0 and ARGV[2] ~= "0" then
+	redis.call("expire", KEYS[1], ARGV[2])
+	redis.call("expire", KEYS[3], ARGV[2])
+end
+
+local otherReaders = redis.call("scard", KEYS[2])
+if redis.call("sismember", KEYS[2], ARGV[1]) == 1 then
+	otherReaders = otherReaders - 1
+end
+if otherReaders > 0 then
+	return { 2, redis.call("smembers", KEYS[2]), fencingToken }
+end
+
+redis.call("srem", KEYS[2], ARGV[1])
+redis.call("del", KEYS[3])
+return { 1, fencingToken }
@@ -1,14 +1,14 @@
-local numKeyArgs = 2
+local numKeyArgs = 4
 
 -- Arguments:
--- Keys: <WriteLockKey> <ReadLockKey>
+-- Keys: <WriteLockKey> <ReadLockKey> <FenceKey> <UpgradeLockKey>
 -- Params: <LockToken> <Expiry>
 -- Returns:
--- { 0, <Token> } - A write lock has been claimed by someone else (<Token>)
--- { 1 } - Write lock successfully claimed and owned
--- { 2, <TokenList> } - Write lock claimed, but there's an existing read lock, so we don't own it yet
+-- { 0, <Token> } - A write lock or upgradable read lock has been claimed by someone else (<Token>)
+-- { 1, <FencingToken> } - Write lock successfully claimed and owned
+-- { 2, <TokenList>, <FencingToken> } - Write lock claimed, but there's an existing read lock, so we don't own it yet
 
-local existingWriteLock = redis.call("get", KEYS[1])
+local existingWriteLock = redis.call("get", KEYS[1]) or redis.call("get", KEYS[4])
 if existingWriteLock then
 	return { 0, existingWriteLock }
 else
@@ -17,9 +17,10 @@ else
 	else
 		redis.call("set", KEYS[1], ARGV[1])
 	end
+	local fencingToken = redis.call("incr", KEYS[3])
 	if redis.call("scard", KEYS[2]) > 0 then
-		return { 2, redis.call("smembers", KEYS[2]) }
+		return { 2, redis.call("smembers", KEYS[2]), fencingToken }
 	else
-		return { 1 }
+		return { 1, fencingToken }
 	end
 end
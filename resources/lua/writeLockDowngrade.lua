@@ -0,0 +1,29 @@
+local numKeyArgs = 2
+
+-- Arguments:
+-- Keys: <WriteLockKey> <ReadLockKey>
+-- Params: <LockToken> [<ReleaseChannel>]
+-- Returns:
+-- { 0, <Token> } - Write lock is held by someone else (<Token>)
+-- { 1 } - Write lock replaced by a read lock with the same token and expiry
+-- { 3 } - Write lock expired, lock no longer owned
+-- If <ReleaseChannel> is given, a message is published on it so that waiting readers can retry.
+
+local existingWriteLock = redis.call("get", KEYS[1])
+if not existingWriteLock then
+	return { 3 }
+end
+if existingWriteLock ~= ARGV[1] then
+	return { 0, existingWriteLock }
+end
+
+local ttl = redis.call("pttl", KEYS[1])
+redis.call("sadd", KEYS[2], ARGV[1])
+if ttl > 0 then
+	redis.call("pexpire", KEYS[2], ttl)
+end
+redis.call("del", KEYS[1])
+if ARGV[2] then
+	redis.call("publish", ARGV[2], "write")
+end
+return { 1 }
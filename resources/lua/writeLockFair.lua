@@ -0,0 +1,60 @@
+local numKeyArgs = 7
+
+-- Arguments:
+-- Keys: <WriteLockKey> <ReadLockKey> <QueueKey> <QueueExpiryKey> <QueueSequenceKey> <FenceKey>
+--   <UpgradeLockKey>
+-- Params: <LockToken> <Expiry> <TicketTimeout>
+-- Returns:
+-- { 0, <Token> } - We are first in the queue, but a write lock or upgradable read lock is held by
+--   someone else (<Token>)
+-- { 1, <FencingToken> } - Write lock successfully claimed and owned
+-- { 2, <TokenList>, <FencingToken> } - Write lock claimed, but there's an existing read lock, so we don't own it yet
+-- { 4, <Token> } - Queued behind another waiter (<Token>) that arrived earlier
+
+redis.replicate_commands()
+local time = redis.call("time")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local ticketTimeout = tonumber(ARGV[3]) * 1000
+
+-- Drop tickets of waiters that stopped retrying
+local expired = redis.call("zrangebyscore", KEYS[4], "-inf", now)
+for _, ticket in ipairs(expired) do
+	redis.call("zrem", KEYS[3], ticket)
+	redis.call("zrem", KEYS[4], ticket)
+end
+
+-- Enqueue our ticket if this is the first attempt, and refresh its expiry
+if not redis.call("zscore", KEYS[3], ARGV[1]) then
+	redis.call("zadd", KEYS[3], redis.call("incr", KEYS[5]), ARGV[1])
+end
+redis.call("zadd", KEYS[4], now + ticketTimeout, ARGV[1])
+for i = 3, 5 do
+	if redis.call("pttl", KEYS[i]) < ticketTimeout then
+		redis.call("pexpire", KEYS[i], ticketTimeout)
+	end
+end
+
+local head = redis.call("zrange", KEYS[3], 0, 0)[1]
+if head ~= ARGV[1] then
+	return { 4, head }
+end
+
+local existingWriteLock = redis.call("get", KEYS[1]) or redis.call("get", KEYS[7])
+if existingWriteLock then
+	return { 0, existingWriteLock }
+end
+
+-- Our turn; the lock is claimed, so leave the queue
+redis.call("zrem", KEYS[3], ARGV[1])
+redis.call("zrem", KEYS[4], ARGV[1])
+if ARGV[2] ~= 0 and ARGV[2] ~= "0" then
+	redis.call("set", KEYS[1], ARGV[1], "EX", ARGV[2])
+else
+	redis.call("set", KEYS[1], ARGV[1])
+end
+local fencingToken = redis.call("incr", KEYS[6])
+if redis.call("scard", KEYS[2]) > 0 then
+	return { 2, redis.call("smembers", KEYS[2]), fencingToken }
+else
+	return { 1, fencingToken }
+end
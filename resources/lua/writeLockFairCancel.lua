@@ -0,0 +1,11 @@
+local numKeyArgs = 2
+
+-- Arguments:
+-- Keys: <QueueKey> <QueueExpiryKey>
+-- Params: <LockToken>
+-- Returns:
+-- { 1 } - Ticket removed from the queue (or was not queued)
+
+redis.call("zrem", KEYS[1], ARGV[1])
+redis.call("zrem", KEYS[2], ARGV[1])
+return { 1 }
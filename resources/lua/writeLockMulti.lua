@@ -0,0 +1,51 @@
+local numKeyArgs = 0
+
+-- Claims write locks on several keys at once.  Either all of the keys are claimed, or none of them.
+-- The number of keys varies, so the key names are passed as params.  Keys that are already claimed
+-- with their token (from an earlier call) stay claimed.
+-- Params: <Expiry> (<WriteLockKey> <ReadLockKey> <FenceKey> <UpgradeLockKey> <LockToken>)...
+-- Returns:
+-- { 0, <Index>, <Token> } - The key at (1-based) <Index> has a write lock or upgradable read lock held
+--   by someone else (<Token>).  Any claims held on the other keys are given up.
+-- { 1, <FencingTokenList> } - All write locks successfully claimed and owned
+-- { 2, <Index>, <TokenList>, <FencingTokenList> } - All write locks claimed, but the key at <Index> has
+--   existing read locks (held by <TokenList>), so we don't own them all yet
+-- Each entry of <FencingTokenList> is the new fencing token if the write lock was claimed by this
+-- call, or 0 if it was already claimed.
+
+local stride = 5
+
+for i = 2, #ARGV, stride do
+	local existingWriteLock = redis.call("get", ARGV[i])
+	if not existingWriteLock then
+		existingWriteLock = redis.call("get", ARGV[i + 3])
+	end
+	if existingWriteLock and existingWriteLock ~= ARGV[i + 4] then
+		for j = 2, #ARGV, stride do
+			if redis.call("get", ARGV[j]) == ARGV[j + 4] then
+				redis.call("del", ARGV[j])
+			end
+		end
+		return { 0, (i + stride - 2) / stride, existingWriteLock }
+	end
+end
+
+local fencingTokens = {}
+for i = 2, #ARGV, stride do
+	local fencingToken = 0
+	if redis.call("get", ARGV[i]) ~= ARGV[i + 4] then
+		redis.call("set", ARGV[i], ARGV[i + 4])
+		fencingToken = redis.call("incr", ARGV[i + 2])
+	end
+	if ARGV[1] ~= "0" then
+		redis.call("expire", ARGV[i], ARGV[1])
+	end
+	table.insert(fencingTokens, fencingToken)
+end
+
+for i = 2, #ARGV, stride do
+	if redis.call("scard", ARGV[i + 1]) > 0 then
+		return { 2, (i + stride - 2) / stride, redis.call("smembers", ARGV[i + 1]), fencingTokens }
+	end
+end
+return { 1, fencingTokens }
@@ -2,13 +2,17 @@ local numKeyArgs = 1
 
 -- Arguments:
 -- Keys: <WriteLockKey>
--- Params: <LockToken>
+-- Params: <LockToken> [<ReleaseChannel>]
 -- Returns:
 -- { 0 } - Lock was previously released or expired
 -- { 1 } - Lock released
+-- If <ReleaseChannel> is given, a message is published on it when the lock is released.
 
 if redis.call("get", KEYS[1]) == ARGV[1] then
 	redis.call("del", KEYS[1])
+	if ARGV[2] then
+		redis.call("publish", ARGV[2], "write")
+	end
 	return { 1 }
 else
 	return { 0 }
@@ -1,22 +1,32 @@
-local numKeyArgs = 2
+local numKeyArgs = 4
 
 -- Arguments:
--- Keys: <WriteLockKey> <ReadLockKey>
+-- Keys: <WriteLockKey> <ReadLockKey> <FenceKey> <UpgradeLockKey>
 -- Params: <LockToken> <Expiry>
--- Returns: Same as writeLock
+-- Returns: Same as writeLock.  The fencing token is only returned if the write lock had expired
+-- and was claimed again.
 
 local existingWriteLock = redis.call("get", KEYS[1])
+if not existingWriteLock then
+	-- The claim expired; an upgradable read lock may have been acquired since
+	existingWriteLock = redis.call("get", KEYS[4])
+	if existingWriteLock then
+		return { 0, existingWriteLock }
+	end
+end
 if existingWriteLock == ARGV[1] or not existingWriteLock then
+	local fencingToken = nil
 	if not existingWriteLock then
 		redis.call("set", KEYS[1], ARGV[1])
+		fencingToken = redis.call("incr", KEYS[3])
 	end
 	if ARGV[2] ~= 0 and ARGV[2] ~= "0" then
 		redis.call("expire", KEYS[1], ARGV[2])
 	end
 	if redis.call("scard", KEYS[2]) > 0 then
-		return { 2, redis.call("smembers", KEYS[2]) }
+		return { 2, redis.call("smembers", KEYS[2]), fencingToken }
 	else
-		return { 1 }
+		return { 1, fencingToken }
 	end
 else
 	return { 0, existingWriteLock }
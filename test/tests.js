@@ -8,6 +8,17 @@ const Locker = require('../lib/locker');
 const RedizClient = require('rediz');
 const LockSet = require('../lib/lock-set');
 const RWLock = require('../lib/rwlock');
+const cli = require('../lib/cli');
+const PrometheusMetrics = require('../lib/prometheus-metrics');
+const OpenTelemetryTracer = require('../lib/opentelemetry-tracer');
+const MemoryRedizClient = require('../lib/memory-rediz-client');
+const MemoryStore = require('../lib/memory-store');
+const IORedisBackend = require('../lib/ioredis-backend');
+const NodeRedisBackend = require('../lib/node-redis-backend');
+const RedisBackend = require('../lib/redis-backend');
+const memoryScripts = require('../lib/memory-scripts');
+const EventEmitter = require('events').EventEmitter;
+const path = require('path');
 const XError = require('xerror');
 const pasync = require('pasync');
 const REDIZ_CONFIG = {
@@ -219,6 +230,127 @@ describe('Class Locker', function() {
 				.then((rwlock) => rwlock.release());
 		});
 
+		it('should allow plain read locks alongside an upgradable read lock', async function() {
+			let upgradable = await locker.readLock('key', { upgradable: true });
+			expect(upgradable.isUpgradable).to.equal(true);
+			let otherRead = await locker.readLock('key', { maxWaitTime: 0 });
+			try {
+				await locker.readLock('key', { upgradable: true, maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			try {
+				await locker.writeLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await otherRead.release();
+			await upgradable.release();
+			let upgradable2 = await locker.readLock('key', { upgradable: true, maxWaitTime: 0 });
+			await upgradable2.release();
+			let writeLock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await writeLock.release();
+		});
+
+		it('should upgrade an upgradable read lock without letting a writer in', async function() {
+			this.timeout(5000);
+			let upgradable = await locker.readLock('key', { upgradable: true });
+			let otherRead = await locker.readLock('key');
+			let upgradeDone = false;
+			let upgradePromise = upgradable.upgrade({ maxWaitTime: 5 }).then(() => {
+				upgradeDone = true;
+			});
+			let writerPromise = locker.writeLock('key', { maxWaitTime: 5 });
+			await pasync.setTimeout(200);
+			expect(upgradeDone).to.equal(false);
+			// The pending upgrade holds the write claim, so new readers are blocked
+			try {
+				await locker.readLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await otherRead.release();
+			await upgradePromise;
+			expect(upgradable.isWriteLock).to.equal(true);
+			expect(upgradable.isUpgradable).to.equal(false);
+			expect(upgradable.fencingToken).to.be.a('number');
+			expect(await upgradable.isStillHeld()).to.equal(true);
+			await upgradable.release();
+			let writeLock = await writerPromise;
+			await writeLock.release();
+		});
+
+		it('should keep the upgradable read lock if the upgrade times out', async function() {
+			let upgradable = await locker.readLock('key', { upgradable: true });
+			let otherRead = await locker.readLock('key');
+			try {
+				await upgradable.upgrade({ maxWaitTime: 0 });
+				throw new Error('Expected upgrade to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(upgradable.isWriteLock).to.equal(false);
+			expect(await upgradable.isStillHeld()).to.equal(true);
+			let thirdRead = await locker.readLock('key', { maxWaitTime: 0 });
+			await thirdRead.release();
+			await otherRead.release();
+			await upgradable.release();
+		});
+
+		it('should share one redis read lock between coalesced readers', async function() {
+			let coalescingLocker = new Locker(redizClient, { coalesceReads: true });
+			let [ lock1, lock2 ] = await Promise.all([
+				coalescingLocker.readLock('key'),
+				coalescingLocker.readLock('key')
+			]);
+			expect(lock1).to.not.equal(lock2);
+			expect(lock1.token).to.equal(lock2.token);
+			expect(await redizClient.scard(locker.prefix + ':read:key')).to.equal(1);
+			await lock1.release();
+			expect(lock1.isLocked).to.equal(false);
+			expect(await lock2.isStillHeld()).to.equal(true);
+			await lock2.release();
+			expect(await redizClient.scard(locker.prefix + ':read:key')).to.equal(0);
+			let writeLock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await writeLock.release();
+		});
+
+		it('should upgrade a coalesced reader only once the other handles are released', async function() {
+			let coalescingLocker = new Locker(redizClient, { coalesceReads: true });
+			let lock1 = await coalescingLocker.readLock('key');
+			let lock2 = await coalescingLocker.readLock('key');
+			let startTime = Date.now();
+			try {
+				await lock1.upgrade({ maxWaitTime: 5 });
+				throw new Error('Expected upgrade to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(Date.now() - startTime).to.be.below(1000);
+			expect(lock1.isWriteLock).to.equal(false);
+			expect(lock1.isLocked).to.equal(true);
+			expect(await lock2.isStillHeld()).to.equal(true);
+			await lock2.release();
+			await lock1.upgrade({ maxWaitTime: 5 });
+			expect(lock1.isWriteLock).to.equal(true);
+			expect(await lock1.isStillHeld()).to.equal(true);
+			await lock1.release();
+			let writeLock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await writeLock.release();
+		});
+
+		it('should not allow distributed upgradable read locks', async function() {
+			try {
+				await locker.readLock('key', { upgradable: true, distributed: true });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+			}
+		});
+
 	});
 
 	describe('#readLockSet', function() {
@@ -345,7 +477,7 @@ describe('Class Locker', function() {
 		it('should release all the keys and throw an error if one of the lock scripts fails', function() {
 			let lockSet;
 			let readLockMock = sinon.mock(locker);
-			readLockMock.expects('readLock').once().throws(new XError(XError.INTERNAL_ERROR));
+			readLockMock.expects('_lockShardGroup').once().throws(new XError(XError.INTERNAL_ERROR));
 			return locker.readLockSet([ 'key', 'key1' ])
 				.then( (lockSet) => {
 					console.log(lockSet);
@@ -378,6 +510,24 @@ describe('Class Locker', function() {
 						});
 				});
 		});
+
+		it('should lock none of the keys if one of them is write locked', async function() {
+			let writeLock = await locker.writeLock('key1');
+			try {
+				await locker.readLockSet([ 'key', 'key1' ], { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+				expect(err.data.key).to.equal('key1');
+				expect(err.data.keys).to.deep.equal([ 'key', 'key1' ]);
+			}
+			expect(await redizClient.scard(locker.prefix + ':read:key')).to.equal(0);
+			await writeLock.release();
+			let lockSet = await locker.readLockSet([ 'key', 'key1' ], { maxWaitTime: 0 });
+			expect(lockSet.getLock('key').isWriteLock).to.equal(false);
+			expect(lockSet.getLock('key1').isWriteLock).to.equal(false);
+			await lockSet.release();
+		});
 	});
 
 	describe('#writeLock', function() {
@@ -575,6 +725,267 @@ describe('Class Locker', function() {
 				.then((rwlock) => rwlock.release());
 		});
 
+		it('should wake up waiters on release with release notifications', async function() {
+			this.timeout(10000);
+			let notifyLocker = new Locker(redizClient, { releaseNotifications: true });
+			let writeLock = await locker.writeLock('key');
+			let releaseTime;
+			let waitPromise = notifyLocker.writeLock('key', { maxWaitTime: 5 })
+				.then((rwlock) => {
+					let acquireDelay = Date.now() - releaseTime;
+					return rwlock.release().then(() => acquireDelay);
+				});
+			// Let the waiter back off to its maximum polling interval
+			await pasync.setTimeout(2000);
+			releaseTime = Date.now();
+			await writeLock.release();
+			let acquireDelay = await waitPromise;
+			expect(acquireDelay).to.be.below(250);
+		});
+
+		it('should wake up write lock waiters when the last reader releases', async function() {
+			this.timeout(10000);
+			let notifyLocker = new Locker(redizClient, { releaseNotifications: true });
+			let readLock = await locker.readLock('key');
+			let releaseTime;
+			let waitPromise = notifyLocker.writeLock('key', { maxWaitTime: 5 })
+				.then((rwlock) => {
+					let acquireDelay = Date.now() - releaseTime;
+					return rwlock.release().then(() => acquireDelay);
+				});
+			await pasync.setTimeout(2000);
+			releaseTime = Date.now();
+			await readLock.release();
+			let acquireDelay = await waitPromise;
+			expect(acquireDelay).to.be.below(250);
+		});
+
+		it('should grant fair write locks in arrival order', async function() {
+			this.timeout(10000);
+			let writeLock = await locker.writeLock('key');
+			let order = [];
+			let promises = [];
+			for (let name of [ 'first', 'second', 'third' ]) {
+				promises.push(locker.writeLock('key', { fair: true, maxWaitTime: 5 })
+					.then(async(rwlock) => {
+						order.push(name);
+						await pasync.setTimeout(50);
+						await rwlock.release();
+					}));
+				await pasync.setTimeout(100);
+			}
+			await writeLock.release();
+			await Promise.all(promises);
+			expect(order).to.deep.equal([ 'first', 'second', 'third' ]);
+		});
+
+		it('should discard tickets of abandoned fair waiters', async function() {
+			this.timeout(10000);
+			let writeLock = await locker.writeLock('key');
+			// Enqueue a ticket for a waiter that never retries
+			let result = await redizClient.runScript(
+				'writeLockFair',
+				locker.prefix + ':write:key',
+				locker.prefix + ':read:key',
+				locker.prefix + ':wqueue:key',
+				locker.prefix + ':wqexp:key',
+				locker.prefix + ':wqseq:key',
+				locker.prefix + ':fence:key',
+				locker.prefix + ':upgrade:key',
+				'abandoned-token',
+				0,
+				1
+			);
+			expect(result[0]).to.equal(0);
+			await writeLock.release();
+			try {
+				await locker.writeLock('key', { fair: true, fairTicketTimeout: 1, maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+				expect(err.data.holder).to.equal('abandoned-token');
+			}
+			let rwlock = await locker.writeLock('key', { fair: true, fairTicketTimeout: 1, maxWaitTime: 5 });
+			expect(rwlock.isLocked).to.equal(true);
+			await rwlock.release();
+		});
+
+		it('should return increasing fencing tokens', async function() {
+			let rwlock1 = await locker.writeLock('key');
+			expect(rwlock1.fencingToken).to.be.a('number');
+			await rwlock1.release();
+			let rwlock2 = await locker.writeLock('key', { fair: true });
+			expect(rwlock2.fencingToken).to.be.above(rwlock1.fencingToken);
+			await rwlock2.release();
+			let readLock = await locker.readLock('key');
+			expect(readLock.fencingToken).to.equal(null);
+			await readLock.upgrade();
+			expect(readLock.fencingToken).to.be.above(rwlock2.fencingToken);
+			await readLock.release();
+			let distributedLock = await locker.writeLock('key', { distributed: true });
+			expect(distributedLock.fencingToken).to.be.above(readLock.fencingToken);
+			await distributedLock.release();
+		});
+
+		it('should check whether locks are still held in redis', async function() {
+			let writeLock = await locker.writeLock('key');
+			expect(await writeLock.isStillHeld()).to.equal(true);
+			await redizClient.del(locker.prefix + ':write:key');
+			expect(await writeLock.isStillHeld()).to.equal(false);
+			await writeLock.release();
+			expect(await writeLock.isStillHeld()).to.equal(false);
+			let readLock = await locker.readLock('key');
+			expect(await readLock.isStillHeld()).to.equal(true);
+			await redizClient.srem(locker.prefix + ':read:key', readLock.token);
+			expect(await readLock.isStillHeld()).to.equal(false);
+			await readLock.release();
+			let distributedLock = await locker.writeLock('key', { distributed: true });
+			expect(await distributedLock.isStillHeld()).to.equal(true);
+			await distributedLock.release();
+			expect(await distributedLock.isStillHeld()).to.equal(false);
+		});
+
+		it('should emit lost and abort the signal when a heartbeat finds the lock lost', async function() {
+			this.timeout(5000);
+			let rwlock = await locker.writeLock('key', { lockTimeout: 1 });
+			let lostError = null;
+			rwlock.on('lost', (err) => {
+				lostError = err;
+			});
+			expect(rwlock.signal.aborted).to.equal(false);
+			await redizClient.del(locker.prefix + ':write:key');
+			await pasync.setTimeout(1000);
+			expect(lostError).to.exist;
+			expect(lostError.code).to.equal(XError.LOCK_LOST);
+			expect(rwlock.isLost).to.equal(true);
+			expect(rwlock.signal.aborted).to.equal(true);
+			await rwlock.release();
+		});
+
+		it('should atomically downgrade a write lock to a read lock', async function() {
+			let rwlock = await locker.writeLock('key', { lockTimeout: 10 });
+			expect(await rwlock.downgrade()).to.equal(rwlock);
+			expect(rwlock.isWriteLock).to.equal(false);
+			expect(rwlock.fencingToken).to.equal(null);
+			expect(await rwlock.isStillHeld()).to.equal(true);
+			expect(await redizClient.ttl(locker.prefix + ':read:key')).to.be.above(0);
+			let otherRead = await locker.readLock('key', { maxWaitTime: 0 });
+			try {
+				await locker.writeLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await otherRead.release();
+			await rwlock.release();
+			let writeLock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await writeLock.release();
+		});
+
+		it('should downgrade a distributed write lock', async function() {
+			let rwlock = await locker.writeLock('key', { distributed: true });
+			await rwlock.downgrade();
+			expect(rwlock.isWriteLock).to.equal(false);
+			expect(rwlock.rwlocks.length).to.equal(1);
+			let otherRead = await locker.readLock('key', { maxWaitTime: 0, distributed: true });
+			await otherRead.release();
+			await rwlock.release();
+		});
+
+		it('should extend a lock without heartbeats', async function() {
+			this.timeout(5000);
+			let rwlock = await locker.writeLock('key', { lockTimeout: 1, heartbeatInterval: false });
+			expect(await rwlock.extend(5)).to.equal(rwlock);
+			await pasync.setTimeout(1500);
+			try {
+				await locker.writeLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await rwlock.release();
+		});
+
+		it('should reject extending a lost lock', async function() {
+			this.timeout(5000);
+			let rwlock = await locker.readLock('key', { lockTimeout: 1, heartbeatInterval: false });
+			await pasync.setTimeout(1500);
+			try {
+				await rwlock.extend(5);
+				throw new Error('Expected extend to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.LOCK_LOST);
+				expect(err.data.key).to.equal('key');
+			}
+			await rwlock.release();
+		});
+
+		it('should extend a distributed write lock on all shards', async function() {
+			let rwlock = await locker.writeLock('key', { distributed: true, lockTimeout: 1, heartbeatInterval: false });
+			expect(await rwlock.extend(5)).to.equal(rwlock);
+			for (let lock of rwlock.rwlocks) {
+				let ttl = await redizClient.shard(lock.distributedShard).ttl(locker.prefix + ':write:key');
+				expect(ttl).to.be.above(1);
+			}
+			await rwlock.release();
+		});
+
+		it('should acquire quorum locks on a majority of shards', async function() {
+			this.timeout(5000);
+			let writeLock = await locker.writeLock('key', { quorum: true, lockTimeout: 10 });
+			expect(writeLock.rwlocks.length).to.be.at.least(Math.floor(redizClient.getNumShards() / 2) + 1);
+			expect(writeLock.validUntil).to.be.above(Date.now());
+			expect(writeLock.validUntil).to.be.at.most(Date.now() + 10000);
+			try {
+				await locker.readLock('key', { quorum: true, maxWaitTime: 1 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+				expect(err.message).to.contain('Timed out');
+			}
+			await writeLock.release();
+			expect(writeLock.isLocked).to.equal(false);
+			let readLock = await locker.readLock('key', { quorum: true, maxWaitTime: 0 });
+			await readLock.release();
+		});
+
+
+		it('should grant locally queued write locks in FIFO order', async function() {
+			this.timeout(10000);
+			let queueLocker = new Locker(redizClient, { localWriteQueue: true });
+			let holder = await locker.writeLock('key');
+			let order = [];
+			let promises = [ 1, 2, 3 ].map((n) => {
+				return queueLocker.writeLock('key', { maxWaitTime: 5 })
+					.then((writeLock) => {
+						order.push(n);
+						return writeLock.release();
+					});
+			});
+			await pasync.setTimeout(100);
+			expect(queueLocker.localWriteQueues.get('key').length).to.equal(3);
+			await holder.release();
+			await Promise.all(promises);
+			expect(order).to.deep.equal([ 1, 2, 3 ]);
+			expect(queueLocker.localWriteQueues.has('key')).to.equal(false);
+		});
+
+		it('should time out write locks waiting in the local queue', async function() {
+			this.timeout(5000);
+			let queueLocker = new Locker(redizClient, { localWriteQueue: true });
+			let holder = await locker.writeLock('key');
+			let firstPromise = queueLocker.writeLock('key', { maxWaitTime: 2 });
+			try {
+				await queueLocker.writeLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+				expect(err.data.numQueued).to.equal(1);
+			}
+			await holder.release();
+			let firstLock = await firstPromise;
+			await firstLock.release();
+		});
 	});
 
 	describe('#writeLockSet', function() {
@@ -702,7 +1113,7 @@ describe('Class Locker', function() {
 		it('should release all the keys and throw an error if one of the lock scripts fails', function() {
 			let lockSet;
 			let writeLockMock = sinon.mock(locker);
-			writeLockMock.expects('writeLock').once().throws(new XError(XError.INTERNAL_ERROR));
+			writeLockMock.expects('_lockShardGroup').once().throws(new XError(XError.INTERNAL_ERROR));
 			return locker.writeLockSet([ 'key', 'key1' ])
 				.then( (lockSet) => {
 					return lockSet.release();
@@ -734,6 +1145,160 @@ describe('Class Locker', function() {
 						});
 				});
 		});
+
+		it('should claim none of the keys if one of them is write locked', async function() {
+			let writeLock = await locker.writeLock('key1');
+			try {
+				await locker.writeLockSet([ 'key', 'key1', 'key2' ], { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+				expect(err.data.key).to.equal('key1');
+				expect(err.data.holder).to.equal(writeLock.token);
+			}
+			expect(await redizClient.get(locker.prefix + ':write:key')).to.equal(null);
+			expect(await redizClient.get(locker.prefix + ':write:key2')).to.equal(null);
+			await writeLock.release();
+		});
+
+		it('should wait for read locks and issue fencing tokens for each key', async function() {
+			let readLock = await locker.readLock('key1');
+			let lockSetPromise = locker.writeLockSet([ 'key', 'key1' ], { maxWaitTime: 5 });
+			await pasync.setTimeout(100);
+			// Both keys are claimed while waiting for the reader
+			try {
+				await locker.readLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await readLock.release();
+			let lockSet = await lockSetPromise;
+			expect(lockSet.getLock('key').isWriteLock).to.equal(true);
+			expect(lockSet.getLock('key').fencingToken).to.be.a('number');
+			expect(lockSet.getLock('key1').fencingToken).to.be.a('number');
+			expect(lockSet.getLock('key').token).to.not.equal(lockSet.getLock('key1').token);
+			await lockSet.release();
+		});
+
+		it('should acquire keys in canonical order with orderKeys', async function() {
+			let lockSet = await locker.writeLockSet([ 'key2', 'key', 'key1' ]);
+			expect(Object.keys(lockSet.locks)).to.deep.equal([ 'key2', 'key', 'key1' ]);
+			await lockSet.release();
+			lockSet = await locker.writeLockSet([ 'key2', 'key', 'key1' ], { orderKeys: true });
+			expect(Object.keys(lockSet.locks)).to.deep.equal([ 'key', 'key1', 'key2' ]);
+			await lockSet.release();
+			let orderedLocker = new Locker(redizClient, { orderKeys: true });
+			lockSet = await orderedLocker.writeLockSet([ 'key2', 'key', 'key1' ]);
+			expect(Object.keys(lockSet.locks)).to.deep.equal([ 'key', 'key1', 'key2' ]);
+			await lockSet.release();
+		});
+	});
+
+	describe('#semaphore', function() {
+		it('should reject if permits is not given', async function() {
+			try {
+				await locker.semaphore('sem', {});
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+				return;
+			}
+			throw new Error('Expected to throw');
+		});
+
+		it('should allow at most the given number of holders', async function() {
+			let lock1 = await locker.semaphore('sem', { permits: 2 });
+			let lock2 = await locker.semaphore('sem', { permits: 2 });
+			try {
+				await locker.semaphore('sem', { permits: 2, maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+				expect(err.data.holders).to.have.members([ lock1.token, lock2.token ]);
+			}
+			await lock1.release();
+			expect(lock1.isLocked).to.equal(false);
+			let lock3 = await locker.semaphore('sem', { permits: 2, maxWaitTime: 0 });
+			await lock2.release();
+			await lock3.release();
+		});
+
+		it('should free the permit of a holder that stops heartbeating', async function() {
+			this.timeout(5000);
+			let lock1 = await locker.semaphore('sem', { permits: 1, lockTimeout: 1, heartbeatInterval: false });
+			let lock2 = await locker.semaphore('sem', { permits: 1, maxWaitTime: 3 });
+			await lock2.release();
+			await lock1.release();
+		});
+
+		it('should keep permits alive with heartbeats', async function() {
+			this.timeout(5000);
+			let lock1 = await locker.semaphore('sem', { permits: 1, lockTimeout: 1 });
+			await pasync.setTimeout(2000);
+			try {
+				await locker.semaphore('sem', { permits: 1, maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await lock1.release();
+		});
+	});
+
+	describe('#WriteLockWrap abort signal', function() {
+		it('should pass an abort signal that fires when the lock is lost', async function() {
+			this.timeout(5000);
+			let result = await locker.writeLockWrap('key', { lockTimeout: 1 }, async(rwlock, signal) => {
+				expect(signal).to.equal(rwlock.signal);
+				await redizClient.del(locker.prefix + ':write:key');
+				await new Promise((resolve) => signal.addEventListener('abort', resolve));
+				return signal.aborted;
+			});
+			expect(result).to.equal(true);
+		});
+	});
+
+	describe('Reentrancy', function() {
+		let reentrantLocker;
+		beforeEach(function() {
+			reentrantLocker = new Locker(redizClient, { reentrant: true });
+		});
+
+		it('should reuse a lock held by the current async context', async function() {
+			await reentrantLocker.writeLockWrap('key', async(outerLock) => {
+				let innerLock = await reentrantLocker.writeLock('key', { maxWaitTime: 0 });
+				expect(innerLock).to.equal(outerLock);
+				let readLock = await reentrantLocker.readLock('key', { maxWaitTime: 0 });
+				expect(readLock).to.equal(outerLock);
+				expect(outerLock.referenceCount).to.equal(3);
+				await readLock.release();
+				await innerLock.release();
+				expect(outerLock.isLocked).to.equal(true);
+			});
+			let lock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await lock.release();
+		});
+
+		it('should upgrade a read lock held by the current async context', async function() {
+			await reentrantLocker.readLockWrap('key', async(outerLock) => {
+				let writeLock = await reentrantLocker.writeLock('key', { maxWaitTime: 0 });
+				expect(writeLock).to.equal(outerLock);
+				expect(outerLock.isWriteLock).to.equal(true);
+				await writeLock.release();
+			});
+		});
+
+		it('should not reuse locks outside of the holding async context', async function() {
+			let wrapPromise = reentrantLocker.writeLockWrap('key', () => pasync.setTimeout(200));
+			await pasync.setTimeout(50);
+			try {
+				await reentrantLocker.writeLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			await wrapPromise;
+		});
 	});
 
 	describe('#ReadLockWrap', function() {
@@ -1093,6 +1658,192 @@ describe('Class LockSet', function() {
 		});
 	});
 
+	describe('Verifying locks', function() {
+		let redizClient, locker, lockSet;
+
+		beforeEach(async function() {
+			redizClient = new RedizClient(REDIZ_CONFIG);
+			await redizClient.flushAllShards();
+			locker = new Locker(redizClient);
+			lockSet = locker.createLockSet();
+		});
+
+		it('should verify that all locks are still held', async function() {
+			await lockSet.writeLock('key1');
+			await lockSet.readLock('key2');
+			let childLockSet = lockSet.createLockSet();
+			await childLockSet.writeLock('key3');
+			expect(await lockSet.verifyAll()).to.equal(lockSet);
+			let lostError = null;
+			lockSet.on('lost', (err) => {
+				lostError = err;
+			});
+			await redizClient.del(locker.prefix + ':write:key3');
+			await redizClient.del(locker.prefix + ':read:key2');
+			try {
+				await lockSet.verifyAll();
+				throw new Error('Expected verify to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.LOCK_LOST);
+				expect(err.data.keys).to.have.members([ 'key2', 'key3' ]);
+			}
+			expect(lostError).to.exist;
+			expect(lockSet.signal.aborted).to.equal(true);
+			await lockSet.release();
+		});
+	});
+
+	describe('Downgrading', function() {
+		let redizClient, locker, lockSet;
+
+		beforeEach(async function() {
+			redizClient = new RedizClient(REDIZ_CONFIG);
+			await redizClient.flushAllShards();
+			locker = new Locker(redizClient);
+			lockSet = locker.createLockSet();
+		});
+
+		it('should downgrade all write locks in the set', async function() {
+			let lock1 = await lockSet.writeLock('key1');
+			let lock2 = await lockSet.readLock('key2');
+			await lockSet.downgrade();
+			expect(lock1.isWriteLock).to.equal(false);
+			expect(lock2.isWriteLock).to.equal(false);
+			let otherRead = await locker.readLock('key1', { maxWaitTime: 0 });
+			await otherRead.release();
+			await lockSet.release();
+		});
+	});
+
+	describe('Deadlock detection', function() {
+		let redizClient, locker;
+
+		beforeEach(async function() {
+			redizClient = new RedizClient(REDIZ_CONFIG);
+			await redizClient.flushAllShards();
+			locker = new Locker(redizClient, { deadlockDetection: true, deadlockCheckInterval: 100 });
+		});
+
+		it('should fail one waiter in a deadlock cycle', async function() {
+			this.timeout(10000);
+			let lockSet1 = locker.createLockSet();
+			let lockSet2 = locker.createLockSet();
+			await lockSet1.writeLock('key1');
+			await lockSet2.writeLock('key2');
+			// The waiter that gives up releases its locks so the other can proceed
+			let attempt = (lockSet, key) => lockSet.writeLock(key, { maxWaitTime: 5 })
+				.then(() => null, (err) => lockSet.release().then(() => err));
+			let errors = await Promise.all([ attempt(lockSet1, 'key2'), attempt(lockSet2, 'key1') ]);
+			errors = errors.filter((err) => err);
+			expect(errors.length).to.equal(1);
+			expect(errors[0].code).to.equal(XError.DEADLOCK);
+			expect(errors[0].data.cycle.length).to.equal(2);
+			expect(errors[0].data.cycle.map((entry) => entry.key).sort()).to.deep.equal([ 'key1', 'key2' ]);
+			await lockSet1.release();
+			await lockSet2.release();
+		});
+
+		it('should not report a deadlock when there is no cycle', async function() {
+			this.timeout(5000);
+			let lockSet1 = locker.createLockSet();
+			let lockSet2 = locker.createLockSet();
+			await lockSet1.writeLock('key1');
+			let waitPromise = lockSet2.readLock('key1', { maxWaitTime: 5 });
+			await pasync.setTimeout(300);
+			await lockSet1.release();
+			let lock = await waitPromise;
+			expect(lock.isLocked).to.equal(true);
+			await lockSet2.release();
+		});
+	});
+
+	describe('Mixed acquisition', function() {
+		let redizClient, locker, lockSet;
+
+		beforeEach(async function() {
+			redizClient = new RedizClient(REDIZ_CONFIG);
+			await redizClient.flushAllShards();
+			locker = new Locker(redizClient);
+			lockSet = locker.createLockSet();
+		});
+
+		it('should acquire read and write locks with write winning over read', async function() {
+			expect(await lockSet.acquire({ read: [ 'key2', 'key1', 'key3' ], write: [ 'key3', 'key1' ] }))
+				.to.equal(lockSet);
+			expect(Object.keys(lockSet.locks)).to.deep.equal([ 'key1', 'key2', 'key3' ]);
+			expect(lockSet.getLock('key1').isWriteLock).to.equal(true);
+			expect(lockSet.getLock('key2').isWriteLock).to.equal(false);
+			expect(lockSet.getLock('key3').isWriteLock).to.equal(true);
+			await lockSet.release();
+		});
+
+		it('should release locks acquired so far if one cannot be acquired', async function() {
+			let writeLock = await locker.writeLock('key2');
+			try {
+				await lockSet.acquire({ read: [ 'key1' ], write: [ 'key2' ] }, { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(lockSet.getLock('key1')).to.equal(undefined);
+			expect(await redizClient.scard(locker.prefix + ':read:key1')).to.equal(0);
+			await writeLock.release();
+		});
+
+		it('should lock runs of keys with the same lock type together', async function() {
+			let runScript = sinon.spy(redizClient.shard('key1'), 'runScript');
+			try {
+				await lockSet.acquire({ read: [ 'key1', 'key2' ], write: [ 'key3', 'key4' ] });
+			} finally {
+				runScript.restore();
+			}
+			let scripts = runScript.args.map((args) => args[0]);
+			if (redizClient.getNumShards() === 1) {
+				expect(scripts).to.deep.equal([ 'readLockMulti', 'writeLockMulti' ]);
+			}
+			expect(lockSet.getLock('key2').isWriteLock).to.equal(false);
+			expect(lockSet.getLock('key4').isWriteLock).to.equal(true);
+			await lockSet.release();
+		});
+
+		it('should downgrade read locks it upgraded if a lock cannot be acquired', async function() {
+			let readLock = await lockSet.readLock('key1');
+			let writeLock = await locker.writeLock('key2');
+			try {
+				await lockSet.acquire({ write: [ 'key1', 'key2' ] }, { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(lockSet.getLock('key1')).to.equal(readLock);
+			expect(readLock.isWriteLock).to.equal(false);
+			expect(readLock.isLocked).to.equal(true);
+			expect(readLock.referenceCount).to.equal(1);
+			let otherRead = await locker.readLock('key1', { maxWaitTime: 0 });
+			await otherRead.release();
+			await writeLock.release();
+			await lockSet.release();
+		});
+
+		it('should not modify the given options', async function() {
+			let options = { maxWaitTime: 5 };
+			await lockSet.acquire({ read: [ 'key1' ], write: [ 'key2' ] }, options);
+			await lockSet.readLock('key3', options);
+			await lockSet.writeLock('key4', options);
+			expect(options).to.deep.equal({ maxWaitTime: 5 });
+			await lockSet.release();
+		});
+
+		it('should reject a plan without key arrays', async function() {
+			try {
+				await lockSet.acquire({ read: 'key1' });
+				throw new Error('Expected acquire to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+			}
+		});
+	});
+
 	describe('Convenience methods', function() {
 
 		let redizClient, locker, lockSet;
@@ -1276,5 +2027,1080 @@ describe('Class LockSet', function() {
 		});
 
 	});
+
+	describe('Lock inspection', function() {
+
+		it('should describe the holders of a key', async function() {
+			let debugLocker = new Locker(redizClient, { debugTokens: true });
+			let readLock1 = await debugLocker.readLock('key', { name: 'reader' });
+			let readLock2 = await locker.readLock('key');
+			let info = await locker.getLockInfo('key');
+			expect(info.key).to.equal('key');
+			expect(info.writeHolder).to.equal(null);
+			expect(info.readHolders.map((holder) => holder.token)).to.have.members([
+				readLock1.token,
+				readLock2.token
+			]);
+			expect(info.readTtl).to.be.above(0);
+			expect(info.distributed).to.equal(false);
+			await readLock1.release();
+			await readLock2.release();
+
+			let writeLock = await debugLocker.writeLock('key', { name: 'writer' });
+			info = await debugLocker.getLockInfo('key');
+			expect(info.writeHolder.token).to.equal(writeLock.token);
+			expect(info.writeHolder.debug.name).to.equal('writer');
+			expect(info.writeHolder.debug.pid).to.equal(process.pid);
+			expect(info.writeTtl).to.be.above(0);
+			expect(info.readHolders).to.deep.equal([]);
+			await writeLock.release();
+		});
+
+		it('should list locked keys matching a pattern', async function() {
+			let writeLock = await locker.writeLock('foo:1');
+			let readLock = await locker.readLock('foo:2', { distributed: true });
+			let otherLock = await locker.writeLock('bar');
+			let locks = await locker.listLocks({ pattern: 'foo:*' });
+			expect(locks.map((entry) => entry.key)).to.deep.equal([ 'foo:1', 'foo:2' ]);
+			expect(locks[0].writeLocked).to.equal(true);
+			expect(locks[0].readLocked).to.equal(false);
+			expect(locks[1].readLocked).to.equal(true);
+			expect(locks[1].distributed).to.equal(true);
+			await writeLock.release();
+			await readLock.release();
+			await otherLock.release();
+			locks = await locker.listLocks({ pattern: 'foo:1' });
+			expect(locks).to.deep.equal([]);
+		});
+
+	});
+
+	describe('Breaking locks', function() {
+
+		it('should break a write lock and make the holder notice', async function() {
+			this.timeout(5000);
+			let rwlock = await locker.writeLock('key', { lockTimeout: 1 });
+			let lostError = null;
+			rwlock.on('lost', (err) => {
+				lostError = err;
+			});
+			let broken = await locker.breakLock('key');
+			expect(broken).to.deep.equal([ { type: 'write', token: rwlock.token } ]);
+			let otherLock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await pasync.setTimeout(1000);
+			expect(lostError).to.exist;
+			expect(lostError.code).to.equal(XError.LOCK_LOST);
+			expect(lostError.data.broken).to.equal(true);
+			await otherLock.release();
+			await rwlock.release();
+		});
+
+		it('should break only the given read lock holder', async function() {
+			let readLock1 = await locker.readLock('key');
+			let readLock2 = await locker.readLock('key', { upgradable: true });
+			let broken = await locker.breakLock('key', { type: 'read', token: readLock2.token });
+			expect(broken).to.deep.equal([ { type: 'read', token: readLock2.token } ]);
+			expect(await readLock1.isStillHeld()).to.equal(true);
+			expect(await readLock2.isStillHeld()).to.equal(false);
+			let upgradable = await locker.readLock('key', { upgradable: true, maxWaitTime: 0 });
+			await upgradable.release();
+			await readLock1.release();
+			await readLock2.release();
+		});
+
+		it('should mark holders as broken for the given lock timeout', async function() {
+			let rwlock = await locker.writeLock('key');
+			await locker.breakLock('key', { lockTimeout: 300 });
+			let markerTtl = await redizClient.ttl(locker.prefix + ':broken:' + rwlock.token);
+			expect(markerTtl).to.be.above(60);
+			expect(markerTtl).to.be.at.most(300);
+			await rwlock.release();
+		});
+
+		it('should reject unknown lock types', async function() {
+			try {
+				await locker.breakLock('key', { type: 'upgradable' });
+				throw new Error('Expected breakLock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+			}
+		});
+
+	});
+
+	describe('Command line tool', function() {
+		let output;
+		let write = (text) => {
+			output += text;
+		};
+		beforeEach(function() {
+			output = '';
+		});
+
+		it('should break locks with the given lock timeout', async function() {
+			let rwlock = await locker.writeLock('key');
+			await cli.runCommand(locker, 'break', [ 'key' ], { lockTimeout: '300' }, write);
+			expect(await redizClient.ttl(locker.prefix + ':broken:' + rwlock.token)).to.be.above(60);
+			try {
+				await cli.runCommand(locker, 'break', [ 'key' ], { lockTimeout: 'soon' }, write);
+				throw new Error('Expected command to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+			}
+			await rwlock.release();
+		});
+
+		it('should parse commands and options', function() {
+			let parsed = cli.parseArgs([ 'break', 'key', '--type=write', '--token', 'abc', '--json' ]);
+			expect(parsed).to.deep.equal({
+				command: 'break',
+				args: [ 'key' ],
+				options: { type: 'write', token: 'abc', json: true }
+			});
+		});
+
+		it('should output lock info as a table or as json', async function() {
+			let writeLock = await locker.writeLock('key');
+			await cli.runCommand(locker, 'info', [ 'key' ], {}, write);
+			expect(output).to.contain('Key: key');
+			expect(output).to.contain('TYPE');
+			expect(output).to.contain(writeLock.token);
+			output = '';
+			await cli.runCommand(locker, 'info', [ 'key' ], { json: true }, write);
+			expect(JSON.parse(output).writeHolder.token).to.equal(writeLock.token);
+			await writeLock.release();
+		});
+
+		it('should list the locks held by a token base', async function() {
+			let otherLocker = new Locker(redizClient);
+			let lock1 = await locker.writeLock('key1');
+			let lock2 = await otherLocker.readLock('key2');
+			await cli.runCommand(locker, 'holders', [], { tokenBase: locker.tokenBase, json: true }, write);
+			let rows = JSON.parse(output);
+			expect(rows.map((row) => row.key)).to.deep.equal([ 'key1' ]);
+			expect(rows[0].type).to.equal('write');
+			await lock1.release();
+			await lock2.release();
+		});
+
+		it('should reject unknown commands', async function() {
+			try {
+				await cli.runCommand(locker, 'frobnicate', [], {}, write);
+				throw new Error('Expected command to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+			}
+		});
+
+	});
+
+	describe('Metrics', function() {
+		let metrics, metricsLocker;
+		beforeEach(function() {
+			metrics = new PrometheusMetrics();
+			metricsLocker = new Locker(redizClient, { metrics });
+		});
+
+		it('should record acquisitions, timeouts and held locks', async function() {
+			let writeLock = await metricsLocker.writeLock('key1');
+			let readLock1 = await metricsLocker.readLock('key2');
+			let readLock2 = await metricsLocker.readLock('key3');
+			expect(metrics.acquisitions).to.deep.equal({ write: 1, read: 2 });
+			expect(metrics.heldLocks).to.deep.equal({ write: 1, read: 2 });
+			try {
+				await metricsLocker.readLock('key1', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(metrics.timeouts).to.deep.equal({ read: 1 });
+			await readLock1.upgrade();
+			expect(metrics.heldLocks).to.deep.equal({ write: 2, read: 1 });
+			await writeLock.release();
+			await readLock1.release();
+			await readLock2.release();
+			expect(metrics.heldLocks).to.deep.equal({ write: 0, read: 0 });
+		});
+
+		it('should record lost conflict resolution and heartbeat failures', async function() {
+			this.timeout(5000);
+			let writeLock = await metricsLocker.writeLock('key', { lockTimeout: 1, conflictPriority: 0 });
+			try {
+				await metricsLocker.writeLock('key', { resolveConflicts: true, maxWaitTime: 1 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(metrics.conflictLosses).to.deep.equal({ write: 1 });
+			await redizClient.del(locker.prefix + ':write:key');
+			await pasync.setTimeout(1000);
+			expect(metrics.heartbeatFailures).to.deep.equal({ write: 1 });
+			await writeLock.release();
+		});
+
+		it('should render metrics in the prometheus text format', async function() {
+			let writeLock = await metricsLocker.writeLock('key');
+			let text = metrics.render();
+			expect(text).to.contain('# TYPE rediz_lock_acquisitions_total counter\n');
+			expect(text).to.contain('rediz_lock_acquisitions_total{lock_type="write"} 1\n');
+			expect(text).to.contain('rediz_lock_wait_seconds_count{lock_type="write"} 1\n');
+			expect(text).to.contain('rediz_lock_wait_seconds_bucket{lock_type="write",le="+Inf"} 1\n');
+			expect(text).to.contain('rediz_lock_held_locks{lock_type="write"} 1\n');
+			await writeLock.release();
+			expect(metrics.render()).to.contain('rediz_lock_held_locks{lock_type="write"} 0\n');
+		});
+
+	});
+
+	describe('Tracing', function() {
+		let spans, tracer, tracingLocker;
+		beforeEach(function() {
+			spans = [];
+			tracer = {
+				startSpan(name, attributes) {
+					let span = {
+						name,
+						attributes: Object.assign({}, attributes),
+						error: null,
+						ended: false,
+						setAttributes(attrs) {
+							Object.assign(span.attributes, attrs);
+							return span;
+						},
+						recordError(error) {
+							span.error = error;
+						},
+						end() {
+							span.ended = true;
+						}
+					};
+					spans.push(span);
+					return span;
+				}
+			};
+			tracingLocker = new Locker(redizClient, { tracer });
+		});
+
+		it('should trace lock acquisition and hold time', async function() {
+			let writeLock = await tracingLocker.writeLock('key');
+			expect(spans.map((span) => span.name)).to.deep.equal([ 'rediz-lock.writeLock', 'rediz-lock.hold' ]);
+			let [ acquireSpan, holdSpan ] = spans;
+			expect(acquireSpan.ended).to.equal(true);
+			expect(acquireSpan.attributes).to.deep.equal({
+				'lock.key': 'key',
+				'lock.type': 'write',
+				'lock.distributed': false,
+				'lock.retries': 0,
+				'lock.holders': []
+			});
+			expect(holdSpan.attributes['lock.token']).to.equal(writeLock.token);
+			expect(holdSpan.ended).to.equal(false);
+			await writeLock.release();
+			expect(holdSpan.ended).to.equal(true);
+		});
+
+		it('should record errors and holders of failed acquisitions', async function() {
+			let writeLock = await locker.writeLock('key');
+			try {
+				await tracingLocker.readLock('key', { maxWaitTime: 0 });
+				throw new Error('Expected lock to fail');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+			expect(spans.length).to.equal(1);
+			expect(spans[0].name).to.equal('rediz-lock.readLock');
+			expect(spans[0].ended).to.equal(true);
+			expect(spans[0].error.code).to.equal(XError.RESOURCE_LOCKED);
+			expect(spans[0].attributes['lock.holders']).to.deep.equal([ writeLock.token ]);
+			await writeLock.release();
+		});
+
+		it('should adapt OpenTelemetry tracers', function() {
+			let otelSpan = {
+				setAttributes: sinon.spy(),
+				recordException: sinon.spy(),
+				setStatus: sinon.spy(),
+				end: sinon.spy()
+			};
+			let otelTracer = { startSpan: sinon.stub().returns(otelSpan) };
+			let span = new OpenTelemetryTracer(otelTracer).startSpan('name', { 'lock.key': 'key' });
+			expect(otelTracer.startSpan.calledWith('name', { attributes: { 'lock.key': 'key' } })).to.equal(true);
+			span.setAttributes({ 'lock.retries': 1 });
+			expect(otelSpan.setAttributes.calledWith({ 'lock.retries': 1 })).to.equal(true);
+			let error = new Error('failed');
+			span.recordError(error);
+			expect(otelSpan.recordException.calledWith(error)).to.equal(true);
+			expect(otelSpan.setStatus.calledWith({ code: 2, message: 'failed' })).to.equal(true);
+			span.end();
+			expect(otelSpan.end.calledOnce).to.equal(true);
+		});
+
+	});
+
+	describe('Events', function() {
+		let logger, eventLocker;
+		beforeEach(function() {
+			logger = { warn: sinon.spy(), info: sinon.spy() };
+			eventLocker = new Locker(redizClient, { logger });
+		});
+
+		it('should emit and log slowAcquire and eventuallyObtained', async function() {
+			this.timeout(5000);
+			let events = [];
+			eventLocker.on('slowAcquire', (data) => events.push([ 'slowAcquire', data ]));
+			eventLocker.on('eventuallyObtained', (data) => events.push([ 'eventuallyObtained', data ]));
+			let writeLock = await locker.writeLock('key');
+			let readPromise = eventLocker.readLock('key', { warnTime: 0.1 });
+			await pasync.setTimeout(500);
+			await writeLock.release();
+			let readLock = await readPromise;
+			expect(events.map((event) => event[0])).to.deep.equal([ 'slowAcquire', 'eventuallyObtained' ]);
+			expect(events[0][1].key).to.equal('key');
+			expect(events[0][1].lockType).to.equal('read');
+			expect(events[0][1].holder).to.equal(writeLock.token);
+			expect(events[1][1]).to.deep.equal({ key: 'key', lockType: 'read' });
+			expect(logger.warn.calledWith('Taking a long time to acquire read lock key', events[0][1])).to.equal(true);
+			expect(logger.info.calledWith('Read lock on key eventually obtained.', events[1][1])).to.equal(true);
+			await readLock.release();
+		});
+
+		it('should emit overRelease', async function() {
+			let overReleases = [];
+			eventLocker.on('overRelease', (data) => overReleases.push(data));
+			let writeLock = await eventLocker.writeLock('key');
+			await writeLock.release();
+			await writeLock.release();
+			expect(overReleases).to.deep.equal([ { key: 'key', token: writeLock.token } ]);
+			expect(logger.warn.calledOnce).to.equal(true);
+		});
+
+		it('should emit heartbeatLost', async function() {
+			this.timeout(5000);
+			let heartbeatLost = null;
+			eventLocker.on('heartbeatLost', (data) => {
+				heartbeatLost = data;
+			});
+			let writeLock = await eventLocker.writeLock('key', { lockTimeout: 1 });
+			await redizClient.del(locker.prefix + ':write:key');
+			await pasync.setTimeout(1000);
+			expect(heartbeatLost.key).to.equal('key');
+			expect(heartbeatLost.lockType).to.equal('write');
+			expect(heartbeatLost.reason).to.equal('expired');
+			expect(heartbeatLost.error.code).to.equal(XError.LOCK_LOST);
+			expect(writeLock.isLost).to.equal(true);
+			await writeLock.release();
+		});
+
+	});
+
+	describe('Shutdown', function() {
+		let shutdownLocker;
+		beforeEach(function() {
+			shutdownLocker = new Locker(redizClient);
+		});
+
+		it('should release all held locks', async function() {
+			let writeLock = await shutdownLocker.writeLock('key1');
+			let readLock = await shutdownLocker.readLock('key2');
+			let distributedLock = await shutdownLocker.writeLock('key3', { distributed: true });
+			let released = await shutdownLocker.writeLock('key4');
+			await released.release();
+			await shutdownLocker.shutdown();
+			expect(writeLock.isLocked).to.equal(false);
+			expect(writeLock.heartbeatHandle).to.equal(undefined);
+			expect(readLock.isLocked).to.equal(false);
+			expect(distributedLock.isLocked).to.equal(false);
+			expect(shutdownLocker.liveLocks.size).to.equal(0);
+			for (let key of [ 'key1', 'key2', 'key3' ]) {
+				let lock = await locker.writeLock(key, { maxWaitTime: 0 });
+				await lock.release();
+			}
+		});
+
+		it('should track upgraded locks', async function() {
+			let rwlock = await shutdownLocker.readLock('key');
+			await rwlock.upgrade();
+			expect(Array.from(shutdownLocker.liveLocks)).to.deep.equal([ rwlock ]);
+			await shutdownLocker.shutdown();
+			expect(rwlock.isLocked).to.equal(false);
+			let lock = await locker.writeLock('key', { maxWaitTime: 0 });
+			await lock.release();
+		});
+
+		it('should reject new lock requests', async function() {
+			await shutdownLocker.shutdown();
+			for (let promise of [
+				shutdownLocker.readLock('key'),
+				shutdownLocker.writeLock('key'),
+				shutdownLocker.semaphore('key', { permits: 1 }),
+				shutdownLocker.writeLockSet([ 'key1', 'key2' ])
+			]) {
+				try {
+					await promise;
+					throw new Error('Expected error');
+				} catch (err) {
+					expect(err.code).to.equal(XError.LOCKER_SHUT_DOWN);
+				}
+			}
+		});
+
+		it('should cancel waiters', async function() {
+			this.timeout(5000);
+			let writeLock = await locker.writeLock('key');
+			let waiters = [
+				shutdownLocker.readLock('key'),
+				shutdownLocker.writeLock('key'),
+				shutdownLocker.writeLockSet([ 'key', 'key2' ])
+			].map((promise) => promise.then(() => null, (err) => err));
+			await pasync.setTimeout(100);
+			let startTime = Date.now();
+			await shutdownLocker.shutdown();
+			let errors = await Promise.all(waiters);
+			expect(Date.now() - startTime).to.be.below(500);
+			for (let err of errors) {
+				expect(err.code).to.equal(XError.LOCKER_SHUT_DOWN);
+			}
+			expect(shutdownLocker.sleepingWaiters.size).to.equal(0);
+			await writeLock.release();
+			let lock = await locker.writeLock('key2', { maxWaitTime: 0 });
+			await lock.release();
+		});
+
+		it('should shut down on signals', async function() {
+			let otherHandler = () => {};
+			process.on('SIGUSR2', otherHandler);
+			try {
+				shutdownLocker.installSignalHandlers({ signals: [ 'SIGUSR2' ] });
+				let writeLock = await shutdownLocker.writeLock('key');
+				process.emit('SIGUSR2', 'SIGUSR2');
+				await pasync.setTimeout(100);
+				expect(shutdownLocker.isShutDown).to.equal(true);
+				expect(writeLock.isLocked).to.equal(false);
+				expect(process.listenerCount('SIGUSR2')).to.equal(1);
+			} finally {
+				process.removeListener('SIGUSR2', otherHandler);
+			}
+		});
+
+	});
 });
 
+describe('MemoryRedizClient', function() {
+	let memoryClient, locker;
+	beforeEach(function() {
+		memoryClient = new MemoryRedizClient();
+		locker = new Locker(memoryClient);
+	});
+	afterEach(async function() {
+		await locker.shutdown();
+	});
+
+	it('should share read locks and exclude write locks', async function() {
+		let readLock1 = await locker.readLock('key');
+		let readLock2 = await locker.readLock('key');
+		try {
+			await locker.writeLock('key', { maxWaitTime: 0 });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		await readLock1.release();
+		await readLock2.release();
+		let writeLock = await locker.writeLock('key', { maxWaitTime: 0 });
+		try {
+			await locker.readLock('key', { maxWaitTime: 0 });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			expect(err.data.holder).to.equal(writeLock.token);
+		}
+		await writeLock.release();
+	});
+
+	it('should expire locks that are not heartbeated', async function() {
+		this.timeout(5000);
+		let writeLock = await locker.writeLock('key', { lockTimeout: 1, heartbeatInterval: false });
+		expect(await memoryClient.ttl(locker.prefix + ':write:key')).to.equal(1);
+		await pasync.setTimeout(1100);
+		let otherLock = await locker.writeLock('key', { maxWaitTime: 0 });
+		await otherLock.release();
+		await writeLock.release();
+	});
+
+	it('should send heartbeats', async function() {
+		this.timeout(5000);
+		let writeLock = await locker.writeLock('key', { lockTimeout: 1 });
+		await pasync.setTimeout(1500);
+		try {
+			await locker.writeLock('key', { maxWaitTime: 0 });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		expect(writeLock.isLost).to.equal(false);
+		await writeLock.release();
+	});
+
+	it('should perform conflict resolution', async function() {
+		let locker1 = new Locker(memoryClient);
+		locker1.tokenBase = 'a';
+		let locker2 = new Locker(memoryClient);
+		locker2.tokenBase = 'b';
+		let lock1 = await locker1.writeLock('foo', { resolveConflicts: true });
+		try {
+			await locker2.writeLock('foo', { resolveConflicts: true });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			expect(err.message).to.match(/conflict resolution/);
+		}
+		await lock1.release();
+	});
+
+	it('should lock on every shard for distributed locks', async function() {
+		memoryClient = new MemoryRedizClient({ numShards: 3 });
+		locker = new Locker(memoryClient);
+		let writeLock = await locker.writeLock('key', { distributed: true });
+		for (let shard = 0; shard < 3; shard++) {
+			expect(await memoryClient.shard(shard).get(locker.prefix + ':write:key'))
+				.to.equal(writeLock.rwlocks[shard].token);
+		}
+		try {
+			await locker.readLock('key', { distributed: true, maxWaitTime: 0 });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		await writeLock.release();
+		let readLock = await locker.readLock('key', { distributed: true, maxWaitTime: 0 });
+		await readLock.release();
+	});
+
+	it('should release shard locks if the fencing token of a distributed lock fails', async function() {
+		memoryClient = new MemoryRedizClient({ numShards: 3 });
+		locker = new Locker(memoryClient);
+		let incr = sinon.stub(memoryClient.shard('key'), 'incr').rejects(new XError(XError.REDIS_ERROR, 'Timeout'));
+		try {
+			await locker.writeLock('key', { distributed: true });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.REDIS_ERROR);
+		}
+		incr.restore();
+		expect(locker.liveLocks.size).to.equal(0);
+		for (let shard = 0; shard < 3; shard++) {
+			expect(await memoryClient.shard(shard).exists(locker.prefix + ':write:key')).to.equal(0);
+		}
+	});
+
+	it('should downgrade and upgrade distributed write locks', async function() {
+		memoryClient = new MemoryRedizClient({ numShards: 3 });
+		let metrics = new PrometheusMetrics();
+		locker = new Locker(memoryClient, { metrics });
+		let rwlock = await locker.writeLock('key', { distributed: true });
+		await rwlock.downgrade();
+		expect(rwlock.rwlocks.length).to.equal(1);
+		expect(metrics.heldLocks).to.deep.equal({ write: 0, read: 1 });
+		expect(await memoryClient.shard('key').smembers(locker.prefix + ':read:key'))
+			.to.deep.equal([ rwlock.token ]);
+		for (let distributed of [ false, 'auto', true ]) {
+			try {
+				await locker.writeLock('key', { distributed, maxWaitTime: 0 });
+				throw new Error('Expected error');
+			} catch (err) {
+				expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+			}
+		}
+		await rwlock.upgrade();
+		expect(rwlock.isWriteLock).to.equal(true);
+		expect(rwlock.rwlocks.length).to.equal(3);
+		expect(rwlock.fencingToken).to.be.a('number');
+		expect(metrics.heldLocks).to.deep.equal({ write: 1, read: 0 });
+		try {
+			await locker.readLock('key', { maxWaitTime: 0 });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		await rwlock.release();
+		expect(metrics.heldLocks).to.deep.equal({ write: 0, read: 0 });
+		let writeLock = await locker.writeLock('key', { maxWaitTime: 0 });
+		await writeLock.release();
+	});
+
+	it('should downgrade and upgrade distributed locks in lock sets with dependent sets', async function() {
+		memoryClient = new MemoryRedizClient({ numShards: 3 });
+		locker = new Locker(memoryClient);
+		let lockSet = locker.createLockSet();
+		await lockSet.writeLock('key1', { distributed: true });
+		let dependentSet = lockSet.createLockSet();
+		await dependentSet.writeLock('key2');
+		await lockSet.downgrade();
+		expect(lockSet.getLock('key1').isWriteLock).to.equal(false);
+		expect(dependentSet.getLock('key2').isWriteLock).to.equal(false);
+		await lockSet.writeLock('key1');
+		expect(lockSet.getLock('key1').isWriteLock).to.equal(true);
+		expect(lockSet.getLock('key1').rwlocks.length).to.equal(3);
+		await lockSet.release();
+	});
+
+	it('should lock keys on several shards in lock sets', async function() {
+		memoryClient = new MemoryRedizClient({ numShards: 3 });
+		locker = new Locker(memoryClient);
+		let keys = [ 'a', 'b', 'c', 'd', 'e' ];
+		let lockSet = await locker.writeLockSet(keys);
+		for (let key of keys) {
+			expect(await memoryClient.shard(key).get(locker.prefix + ':write:' + key))
+				.to.equal(lockSet.getLock(key).token);
+		}
+		await lockSet.release();
+		expect((await locker.listLocks()).length).to.equal(0);
+	});
+
+	it('should wake up waiters with release notifications', async function() {
+		this.timeout(5000);
+		let notifyLocker = new Locker(memoryClient, { releaseNotifications: true });
+		let writeLock = await locker.writeLock('key');
+		let releaseTime;
+		let waitPromise = notifyLocker.writeLock('key', { maxWaitTime: 5 })
+			.then((rwlock) => {
+				let acquireDelay = Date.now() - releaseTime;
+				return rwlock.release().then(() => acquireDelay);
+			});
+		await pasync.setTimeout(1500);
+		releaseTime = Date.now();
+		await writeLock.release();
+		expect(await waitPromise).to.be.below(100);
+	});
+
+	it('should support semaphores, upgradable locks and fair locks', async function() {
+		let permit = await locker.semaphore('sem', { permits: 1 });
+		try {
+			await locker.semaphore('sem', { permits: 1, maxWaitTime: 0 });
+			throw new Error('Expected error');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		await permit.release();
+		let rwlock = await locker.readLock('key', { upgradable: true });
+		await rwlock.upgrade();
+		expect(rwlock.isWriteLock).to.equal(true);
+		await rwlock.downgrade();
+		await rwlock.release();
+		let fairLock = await locker.writeLock('key', { fair: true });
+		await fairLock.release();
+	});
+
+	it('should not record a timeout for locally queued write locks that get the lock', async function() {
+		this.timeout(5000);
+		let metrics = { lockTimedOut: sinon.spy() };
+		let queueLocker = new Locker(memoryClient, { localWriteQueue: true, metrics });
+		let writeLock = queueLocker.writeLock;
+		let numAcquiring = 0;
+		sinon.stub(queueLocker, 'writeLock').callsFake(async function(key, options) {
+			// Acquiring the second lock takes until after its wait time in the queue has passed
+			if (options && options._skipLocalQueue && ++numAcquiring === 2) await pasync.setTimeout(1200);
+			return await writeLock.call(this, key, options);
+		});
+		let firstPromise = queueLocker.writeLock('key', { maxWaitTime: 5 });
+		let secondPromise = queueLocker.writeLock('key', { maxWaitTime: 1 });
+		let firstLock = await firstPromise;
+		await firstLock.release();
+		let secondLock = await secondPromise;
+		expect(metrics.lockTimedOut.called).to.equal(false);
+		await secondLock.release();
+		await queueLocker.shutdown();
+	});
+
+	it('should record one timeout for locally queued write locks', async function() {
+		this.timeout(5000);
+		let metrics = { lockTimedOut: sinon.spy() };
+		let queueLocker = new Locker(memoryClient, { localWriteQueue: true, metrics });
+		let writeLock = queueLocker.writeLock;
+		let numAcquiring = 0;
+		sinon.stub(queueLocker, 'writeLock').callsFake(async function(key, options) {
+			// The second lock starts acquiring after its wait time in the queue has passed
+			if (options && options._skipLocalQueue && ++numAcquiring === 2) await pasync.setTimeout(1200);
+			return await writeLock.call(this, key, options);
+		});
+		let firstPromise = queueLocker.writeLock('key', { maxWaitTime: 5 });
+		let secondPromise = queueLocker.writeLock('key', { maxWaitTime: 1 });
+		let firstLock = await firstPromise;
+		try {
+			await secondPromise;
+			throw new Error('Expected lock to fail');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		expect(metrics.lockTimedOut.callCount).to.equal(1);
+		await firstLock.release();
+		await queueLocker.shutdown();
+	});
+
+	it('should release locks acquired while shutting down', async function() {
+		let shutdownLocker = new Locker(memoryClient);
+		let runScript = memoryClient.runScript;
+		sinon.stub(memoryClient, 'runScript').callsFake(async function(...args) {
+			// Keep acquisitions in flight until after shutdown
+			await pasync.setTimeout(100);
+			return await runScript.apply(this, args);
+		});
+		let acquisitions = [
+			shutdownLocker.readLock('key1'),
+			shutdownLocker.writeLock('key2'),
+			shutdownLocker.semaphore('key3', { permits: 1 }),
+			shutdownLocker.writeLockSet([ 'key4', 'key5' ])
+		].map((promise) => promise.then(() => null, (err) => err));
+		await pasync.setTimeout(10);
+		await shutdownLocker.shutdown();
+		let errors = await Promise.all(acquisitions);
+		memoryClient.runScript.restore();
+		for (let err of errors) {
+			expect(err).to.exist;
+			expect(err.code).to.equal(XError.LOCKER_SHUT_DOWN);
+		}
+		expect(shutdownLocker.liveLocks.size).to.equal(0);
+		expect(await locker.listLocks()).to.deep.equal([]);
+	});
+
+	it('should not fail when cancelling a fair write lock ticket fails', async function() {
+		let logger = { warn: sinon.spy(), info: sinon.spy() };
+		let fairLocker = new Locker(memoryClient, { logger });
+		let writeLock = await locker.writeLock('key');
+		let runScript = memoryClient.runScript;
+		sinon.stub(memoryClient, 'runScript').callsFake(function(name, ...args) {
+			if (name === 'writeLockFairCancel') return Promise.reject(new Error('Connection lost'));
+			return runScript.call(this, name, ...args);
+		});
+		try {
+			await fairLocker.writeLock('key', { fair: true, maxWaitTime: 0 });
+			throw new Error('Expected lock to fail');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		await pasync.setTimeout(10);
+		expect(logger.warn.calledWith('Error cancelling fair write lock ticket on key')).to.equal(true);
+		memoryClient.runScript.restore();
+		await writeLock.release();
+		await fairLocker.shutdown();
+	});
+
+	describe('MemoryStore', function() {
+		it('should match keys with glob patterns', function() {
+			let store = new MemoryStore();
+			for (let key of [ 'a:1', 'a:2', 'b:1', 'a*:1' ]) store.set(key, '1');
+			expect(store.keys('a:*').sort()).to.deep.equal([ 'a:1', 'a:2' ]);
+			expect(store.keys('?:1').sort()).to.deep.equal([ 'a:1', 'b:1' ]);
+			expect(store.keys('[ab]:2')).to.deep.equal([ 'a:2' ]);
+			expect(store.keys('a\\*:*')).to.deep.equal([ 'a*:1' ]);
+		});
+
+		it('should expire keys', async function() {
+			let store = new MemoryStore();
+			store.sadd('set', 'a', 'b');
+			store.pexpire('set', 50);
+			expect(store.ttl('set')).to.equal(0);
+			expect(store.pttl('set')).to.be.above(0);
+			expect(store.ttl('missing')).to.equal(-2);
+			await pasync.setTimeout(60);
+			expect(store.exists('set')).to.equal(0);
+			expect(store.smembers('set')).to.deep.equal([]);
+		});
+
+		it('should remove empty sets', function() {
+			let store = new MemoryStore();
+			store.sadd('set', 'a');
+			store.srem('set', 'a');
+			expect(store.exists('set')).to.equal(0);
+			store.zadd('zset', 1, 'a', '+inf', 'b');
+			expect(store.zrange('zset', -1, -1, 'WITHSCORES')).to.deep.equal([ 'b', 'inf' ]);
+			store.zremrangebyscore('zset', '-inf', '+inf');
+			expect(store.exists('zset')).to.equal(0);
+		});
+	});
+
+});
+
+
+describe('Backends', function() {
+	const SCRIPT_DIR = path.join(__dirname, '../resources/lua');
+
+	function noScriptError() {
+		return new Error('NOSCRIPT No matching script. Please use EVAL.');
+	}
+
+	// Runs redis commands against a MemoryStore the way a redis server would.  Scripts are run by
+	// their in-memory implementations, and are only cached after being sent with EVAL.
+	async function createFakeServer() {
+		let store = new MemoryStore();
+		let scripts = await RedisBackend.loadScriptDir(SCRIPT_DIR);
+		let scriptNames = {};
+		for (let name in scripts) {
+			scriptNames[scripts[name].sha] = name;
+			scriptNames[scripts[name].scriptText] = name;
+		}
+		let cachedShas = new Set();
+		let runCommand = async(command, args) => {
+			command = command.toLowerCase();
+			// Like redis, only strings are received
+			args = args.map((arg) => String(arg));
+			if (command === 'evalsha' || command === 'eval') {
+				let name = scriptNames[args[0]];
+				if (!name) throw new Error('ERR unknown script');
+				if (command === 'evalsha' && !cachedShas.has(args[0])) throw noScriptError();
+				cachedShas.add(scripts[name].sha);
+				let numKeys = parseInt(args[1], 10);
+				return memoryScripts[name](store, args.slice(2, 2 + numKeys), args.slice(2 + numKeys));
+			}
+			if (typeof store[command] !== 'function' || RedisBackend.COMMANDS.indexOf(command) === -1) {
+				throw new Error('ERR unknown command \'' + command + '\'');
+			}
+			return store[command](...args);
+		};
+		return { store, runCommand };
+	}
+
+	function createFakeIORedis(server, isCluster) {
+		let client = {
+			isCluster,
+			call: (command, ...args) => server.runCommand(command, args),
+			nodes: () => [ client ],
+			subscribers: [],
+			duplicate: () => {
+				let subscriber = new EventEmitter();
+				let onMessage = (channel, message) => subscriber.emit('message', channel, message);
+				subscriber.stream = { unref: sinon.spy() };
+				subscriber.subscribe = async(channel) => server.store.subscribe(channel, onMessage);
+				subscriber.unsubscribe = async(channel) => server.store.unsubscribe(channel, onMessage);
+				subscriber.quit = sinon.spy(async() => {
+					setImmediate(() => subscriber.emit('end'));
+					return 'OK';
+				});
+				setImmediate(() => subscriber.emit('ready'));
+				client.subscribers.push(subscriber);
+				return subscriber;
+			}
+		};
+		return client;
+	}
+
+	function createFakeNodeRedis(server) {
+		let client = {
+			sendCommand: (args) => server.runCommand(args[0], args.slice(1)),
+			subscribers: [],
+			duplicate: () => {
+				let subscriber = new EventEmitter();
+				let onMessages = new Map();
+				subscriber.connect = async() => {
+					setImmediate(() => subscriber.emit('ready'));
+				};
+				subscriber.subscribe = async(channel, listener) => {
+					let onMessage = (channel, message) => listener(message, channel);
+					onMessages.set(listener, onMessage);
+					server.store.subscribe(channel, onMessage);
+				};
+				subscriber.unsubscribe = async(channel, listener) => {
+					server.store.unsubscribe(channel, onMessages.get(listener));
+				};
+				subscriber.unref = sinon.spy();
+				subscriber.quit = sinon.spy(async() => {
+					setImmediate(() => subscriber.emit('end'));
+					return 'OK';
+				});
+				client.subscribers.push(subscriber);
+				return subscriber;
+			}
+		};
+		return client;
+	}
+
+	// Exercises each kind of lock through a backend
+	async function testLocker(backend, server, options = {}) {
+		let locker = new Locker(backend, Object.assign({ releaseNotifications: true }, options));
+		let readLock1 = await locker.readLock('key');
+		let readLock2 = await locker.readLock('key');
+		try {
+			await locker.writeLock('key', { maxWaitTime: 0 });
+			throw new Error('Expected lock to fail');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		let writePromise = locker.writeLock('key', { maxWaitTime: 5 });
+		await pasync.setTimeout(50);
+		expect(server.store.subscriptions.has(locker.releaseNotifier.getChannel('key'))).to.equal(true);
+		await readLock1.release();
+		await readLock2.release();
+		let writeLock = await writePromise;
+		expect(writeLock.isLocked).to.equal(true);
+
+		let distributedLock = await locker.writeLock('distributed', { distributed: true });
+		expect(distributedLock.fencingToken).to.be.a('number');
+		let nextDistributedPromise = locker.writeLock('distributed', { distributed: true, maxWaitTime: 5 });
+		await distributedLock.release();
+		let nextDistributedLock = await nextDistributedPromise;
+		expect(nextDistributedLock.fencingToken).to.be.above(distributedLock.fencingToken);
+		await nextDistributedLock.release();
+
+		let permit1 = await locker.semaphore('sem', { permits: 2 });
+		let permit2 = await locker.semaphore('sem', { permits: 2 });
+		try {
+			await locker.semaphore('sem', { permits: 2, maxWaitTime: 0 });
+			throw new Error('Expected lock to fail');
+		} catch (err) {
+			expect(err.code).to.equal(XError.RESOURCE_LOCKED);
+		}
+		await permit1.release();
+		await permit2.release();
+
+		let locks = await locker.listLocks();
+		expect(locks.map((entry) => entry.key)).to.deep.equal([ 'key' ]);
+		expect(locks[0].writeLocked).to.equal(true);
+		await locker.shutdown({ timeout: 5 });
+		expect(writeLock.isLocked).to.equal(false);
+		expect(await locker.listLocks()).to.deep.equal([]);
+	}
+
+	describe('IORedisBackend', function() {
+		it('should run scripts by digest and fall back to sending the script', async function() {
+			let client = { call: sinon.stub() };
+			client.call.withArgs('evalsha').onFirstCall().rejects(noScriptError());
+			client.call.withArgs('evalsha').onSecondCall().resolves(1);
+			client.call.withArgs('eval').resolves(1);
+			let backend = new IORedisBackend(client);
+			await backend.registerScriptDir(SCRIPT_DIR);
+			let script = backend.registeredScripts.writeLockRelease;
+			expect(script.sha).to.match(/^[0-9a-f]{40}$/);
+			expect(await backend.runScript('writeLockRelease', 'rzlock::write:key', 'token', 'channel')).to.equal(1);
+			expect(client.call.secondCall.args).to.deep.equal([
+				'eval', script.scriptText, script.numKeyArgs, 'rzlock::write:key', 'token', 'channel'
+			]);
+			expect(await backend.runScript('writeLockRelease', 'rzlock::write:key', 'token', 'channel')).to.equal(1);
+			expect(client.call.thirdCall.args[0]).to.equal('evalsha');
+		});
+
+		it('should send commands and convert errors', async function() {
+			let client = { call: sinon.stub() };
+			client.call.withArgs('get').resolves('value');
+			client.call.withArgs('del').rejects(new Error('Connection lost'));
+			let backend = new IORedisBackend(client);
+			expect(backend.shard('key')).to.equal(backend);
+			expect(backend.getNumShards()).to.equal(1);
+			expect(await backend.get('key')).to.equal('value');
+			try {
+				await backend.del('key');
+				throw new Error('Expected error');
+			} catch (err) {
+				expect(err.code).to.equal(XError.REDIS_ERROR);
+				expect(err.message).to.equal('Connection lost');
+			}
+		});
+
+		it('should route scripts without key arguments on clusters', async function() {
+			let client = { isCluster: true, call: sinon.stub().resolves(1) };
+			let backend = new IORedisBackend(client);
+			await backend.registerScriptDir(SCRIPT_DIR);
+			let script = backend.registeredScripts.writeLockMulti;
+			expect(script.numKeyArgs).to.equal(0);
+			await backend.runScript('writeLockMulti', 60, '{rzlock}::write:a', 'token');
+			expect(client.call.firstCall.args).to.deep.equal([
+				'evalsha', script.sha, 1, '{rzlock}::write:a', 60, '{rzlock}::write:a', 'token'
+			]);
+			try {
+				await backend.runScript('writeLockMulti', 60, 'rzlock::write:a', 'token');
+				throw new Error('Expected error');
+			} catch (err) {
+				expect(err.code).to.equal(XError.INVALID_ARGUMENT);
+			}
+		});
+
+		it('should scan all nodes of clusters', async function() {
+			let node1 = { call: sinon.stub() };
+			node1.call.onFirstCall().resolves([ '5', [ 'a' ] ]);
+			node1.call.onSecondCall().resolves([ '0', [ 'b' ] ]);
+			let node2 = { call: sinon.stub().resolves([ '0', [ 'c' ] ]) };
+			let client = { isCluster: true, nodes: () => [ node1, node2 ] };
+			let backend = new IORedisBackend(client);
+			expect(await backend.scan('0', 'MATCH', 'rzlock*')).to.deep.equal([ '0', [ 'a', 'b', 'c' ] ]);
+			expect(node1.call.secondCall.args).to.deep.equal([ 'scan', '5', 'MATCH', 'rzlock*' ]);
+		});
+
+		it('should unref the socket of subscriber connections', function() {
+			let subscriberClient = new EventEmitter();
+			subscriberClient.stream = { unref: sinon.spy() };
+			let backend = new IORedisBackend({ duplicate: () => subscriberClient });
+			let subscriber = backend.redisClient.duplicate();
+			subscriber.unref();
+			expect(subscriberClient.stream.unref.calledOnce).to.equal(true);
+			// Reconnecting replaces the socket
+			subscriberClient.stream = { unref: sinon.spy() };
+			subscriberClient.emit('ready');
+			expect(subscriberClient.stream.unref.calledOnce).to.equal(true);
+		});
+
+		it('should run a locker', async function() {
+			this.timeout(10000);
+			let server = await createFakeServer();
+			let client = createFakeIORedis(server, false);
+			await testLocker(new IORedisBackend(client), server);
+			expect(client.subscribers).to.have.length(1);
+			expect(client.subscribers[0].stream.unref.called).to.equal(true);
+			expect(client.subscribers[0].quit.calledOnce).to.equal(true);
+			expect(server.store.subscriptions.size).to.equal(0);
+		});
+
+		it('should run a locker on a cluster', async function() {
+			this.timeout(10000);
+			let server = await createFakeServer();
+			let client = createFakeIORedis(server, true);
+			await testLocker(new IORedisBackend(client), server, { prefix: '{rzlock}:' });
+			expect(client.subscribers[0].quit.calledOnce).to.equal(true);
+		});
+	});
+
+	describe('NodeRedisBackend', function() {
+		it('should send commands with string arguments', async function() {
+			let client = { sendCommand: sinon.stub().resolves('OK') };
+			let backend = new NodeRedisBackend(client);
+			await backend.registerScriptDir(SCRIPT_DIR);
+			expect(await backend.set('key', 1, 'EX', 60)).to.equal('OK');
+			expect(client.sendCommand.firstCall.args[0]).to.deep.equal([ 'SET', 'key', '1', 'EX', '60' ]);
+			await backend.runScript('writeLockRelease', 'rzlock::write:key', 'token', 'channel');
+			expect(client.sendCommand.secondCall.args[0]).to.deep.equal([
+				'EVALSHA', backend.registeredScripts.writeLockRelease.sha, '1', 'rzlock::write:key', 'token', 'channel'
+			]);
+		});
+
+		it('should adapt subscriber connections', async function() {
+			let subscriberClient = new EventEmitter();
+			subscriberClient.connect = sinon.stub().resolves();
+			subscriberClient.subscribe = sinon.stub().resolves();
+			subscriberClient.unsubscribe = sinon.stub().resolves();
+			subscriberClient.unref = sinon.spy();
+			let backend = new NodeRedisBackend({ duplicate: () => subscriberClient });
+			let subscriber = backend.redisClient.duplicate();
+			let messages = [];
+			subscriber.on('message', (channel, message) => messages.push([ channel, message ]));
+			subscriber.unref();
+			subscriber.subscribe('channel');
+			let listener = subscriberClient.subscribe.firstCall.args[1];
+			listener('message', 'channel');
+			expect(messages).to.deep.equal([ [ 'channel', 'message' ] ]);
+			expect(subscriberClient.connect.calledOnce).to.be.true;
+			expect(subscriberClient.unref.calledOnce).to.be.true;
+			subscriber.unsubscribe('channel');
+			expect(subscriberClient.unsubscribe.firstCall.args).to.deep.equal([ 'channel', listener ]);
+		});
+
+		it('should run a locker', async function() {
+			this.timeout(10000);
+			let server = await createFakeServer();
+			let client = createFakeNodeRedis(server);
+			await testLocker(new NodeRedisBackend(client), server);
+			expect(client.subscribers).to.have.length(1);
+			expect(client.subscribers[0].unref.calledOnce).to.equal(true);
+			expect(client.subscribers[0].quit.calledOnce).to.equal(true);
+			expect(server.store.subscriptions.size).to.equal(0);
+		});
+	});
+
+});